@@ -1,13 +1,652 @@
 (function () {
   'use strict';
 
-  const MOODS = ['\u{1F622}', '\u{1F615}', '\u{1F610}', '\u{1F642}', '\u{1F604}'];
-  const MOOD_LABELS = ['Très triste', 'Triste', 'Neutre', 'Content', 'Très content'];
-  const MONTH_NAMES = [
-    'Janvier', 'Février', 'Mars', 'Avril', 'Mai', 'Juin',
-    'Juillet', 'Août', 'Septembre', 'Octobre', 'Novembre', 'Décembre'
-  ];
-  const DAY_NAMES = ['Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam', 'Dim'];
+  const SYNC_TAG = 'sync-entries'; // must match sw.js
+
+  // ── Messages ──
+  //
+  // One catalogue per language, looked up with t(). `{name}` is replaced by
+  // the parameter of that name; a message given as { one, other, … } is
+  // picked with Intl.PluralRules from the `count` parameter. Keys missing
+  // from a catalogue fall back to French. Month and day names come from Intl.
+
+  const MESSAGES = {
+    fr: {
+      'app.title': "Journal d'humeur",
+      'app.description': "Journal d'humeur — Suivez votre humeur au quotidien",
+      'common.add': 'Ajouter',
+      'common.cancel': 'Annuler',
+      'common.close': 'Fermer',
+      'common.confirm': 'Confirmer',
+      'common.delete': 'Supprimer',
+      'common.entries': { one: '{count} entrée', other: '{count} entrées' },
+      'common.later': 'Plus tard',
+      'common.noData': 'Aucune donnée',
+      'common.undo': 'Annuler',
+
+      'tabs.label': 'Navigation principale',
+      'tabs.add': 'Ajouter',
+      'tabs.addLabel': 'Ajouter une humeur',
+      'tabs.calendar': 'Calendrier',
+      'tabs.stats': 'Stats',
+      'tabs.statsLabel': 'Statistiques',
+      'tabs.history': 'Historique',
+      'tabs.settings': 'Réglages',
+
+      'settings.title': 'Réglages',
+
+      'report.heading': 'Rapport du mois',
+      'report.title': 'Mon humeur — {month}',
+      'report.filename': 'rapport-humeur',
+      'report.share': "Partager l'image",
+      'report.download': "Télécharger l'image",
+      'report.print': 'Imprimer',
+      'report.includeNotes': "Notes à l'impression",
+      'report.notes': 'Notes',
+      'report.noNotes': 'Aucune note ce mois-ci.',
+      'report.generated': 'Rapport généré le {date}',
+      'report.failed': "L'image du rapport n'a pas pu être créée.",
+      'report.printFailed': "Le rapport n'a pas pu être préparé pour l'impression.",
+
+      'theme.title': 'Apparence',
+      'theme.system': 'Automatique',
+      'theme.light': 'Clair',
+      'theme.dark': 'Sombre',
+
+      'reset.title': 'Réinitialisation',
+      'reset.hint': "Efface le journal, les photos, la corbeille, les réglages et les fichiers de l'application sur cet appareil. Exportez une sauvegarde avant.",
+      'reset.button': 'Tout effacer',
+      'reset.confirm': "Effacer toutes les données de cet appareil ? Cette action est irréversible. Les humeurs déjà synchronisées seront de nouveau téléchargées depuis le serveur.",
+      'reset.failed': "La réinitialisation a échoué. Fermez les autres onglets de l'application puis réessayez.",
+
+      'notifBanner.title': 'Activer les notifications',
+      'notifBanner.text': 'Recevez un rappel quotidien pour noter votre humeur',
+      'notifBanner.accept': 'Activer',
+      'install.title': "Installer l'application",
+      'install.text': "Accédez rapidement au journal depuis votre écran d'accueil",
+      'install.accept': 'Installer',
+      'install.iosLabel': "Instructions d'installation",
+      'install.iosTitle': "Installer Journal d'humeur",
+      'install.iosShare': 'Appuyez sur le bouton <strong>Partager</strong>',
+      'install.iosHomeScreen': "Faites défiler et appuyez sur <strong>Sur l'écran d'accueil</strong>",
+      'install.iosAdd': 'Appuyez sur <strong>Ajouter</strong>',
+      'update.available': 'Nouvelle version disponible',
+      'update.reload': 'Actualiser',
+
+      'network.offline': 'Hors ligne — les données sont sauvegardées localement',
+      'network.syncing': 'Synchronisation en cours…',
+      'network.online': 'Connexion rétablie',
+      'network.synced': {
+        one: 'Connexion rétablie — {count} entrée synchronisée',
+        other: 'Connexion rétablie — {count} entrées synchronisées'
+      },
+      'network.syncFailed': 'Connexion rétablie — synchronisation impossible pour le moment',
+
+      'scale.3': ['Mal', 'Neutre', 'Bien'],
+      'scale.5': ['Très triste', 'Triste', 'Neutre', 'Content', 'Très content'],
+      'scale.10': ['Horrible', 'Très mal', 'Mal', 'Plutôt mal', 'Moyen', 'Correct', 'Bien', 'Très bien', 'Excellent', 'Parfait'],
+      'tags.defaults': ['Sport', 'Travail', 'Famille', 'Amis', 'Sommeil', 'Sorties'],
+
+      'add.title': 'Comment vous sentez-vous ?',
+      'add.moodLabel': "Niveau d'humeur",
+      'add.date': 'Date',
+      'add.time': 'Heure',
+      'add.note': 'Note (optionnel)',
+      'add.notePlaceholder': "Comment s'est passée votre journée ?",
+      'add.tags': 'Activités',
+      'add.newTag': 'Nouvelle activité',
+      'add.save': 'Enregistrer',
+      'add.update': 'Mettre à jour',
+      'add.dayTitle': 'Ce jour-là',
+      'add.newCheckin': '+ Nouvelle',
+      'add.saved': 'Humeur enregistrée !',
+      'add.savedOffline': 'Humeur sauvegardée localement (en attente de synchronisation)',
+      'add.updated': 'Entrée modifiée',
+      'add.draft': 'Brouillon non enregistré',
+      'add.leaveConfirm': "Cette humeur n'est pas enregistrée. Quitter quand même ? Le brouillon sera conservé.",
+      'add.discardConfirm': "Cette humeur n'est pas enregistrée. Abandonner les modifications ?",
+      'add.reverted': 'Modification annulée',
+
+      'calendar.modeLabel': 'Affichage du calendrier',
+      'calendar.month': 'Mois',
+      'calendar.year': 'Année',
+      'calendar.prevMonth': 'Mois précédent',
+      'calendar.nextMonth': 'Mois suivant',
+      'calendar.prevYear': 'Année précédente',
+      'calendar.nextYear': 'Année suivante',
+      'calendar.monthShown': '{month} affiché',
+      'calendar.yearShown': 'Année {year} affichée',
+      'calendar.yearLabel': 'Année {year} en pixels',
+      'calendar.dayOne': '{date}, humeur : {mood}',
+      'calendar.dayMany': '{date}, {count} entrées, humeur moyenne : {mood}',
+
+      'stats.period.week': 'Semaine',
+      'stats.period.month': 'Mois',
+      'stats.period.quarter': 'Trimestre',
+      'stats.period.year': 'Année',
+      'stats.period.custom': 'Période',
+      'stats.periodLabel': 'Période des statistiques',
+      'stats.weekLabel': 'Semaine du {from} au {to}',
+      'stats.quarterLabel': 'T{quarter} {year}',
+      'stats.customLabel': 'Du {from} au {to}',
+      'stats.from': 'Du',
+      'stats.to': 'au',
+      'stats.show': 'Afficher',
+      'stats.prev': 'Période précédente',
+      'stats.next': 'Période suivante',
+      'stats.average': 'Humeur moyenne',
+      'stats.entries': 'Entrées',
+      'stats.overDays': { one: 'sur {count} jour', other: 'sur {count} jours' },
+      'stats.trend': 'Tendance',
+      'stats.trend.up': 'En hausse',
+      'stats.trend.down': 'En baisse',
+      'stats.trend.stable': 'Stable',
+      'stats.slope': '{slope}/sem., {confidence}',
+      'stats.confidence.high': 'confiance élevée',
+      'stats.confidence.medium': 'confiance moyenne',
+      'stats.confidence.low': 'confiance faible',
+      'stats.currentStreak': 'Série actuelle',
+      'stats.streakDays': { one: 'jour', other: "jours d'affilée" },
+      'stats.longestStreak': 'Plus longue série',
+      'stats.inPeriod': 'sur la période',
+      'stats.missedDays': 'Jours manqués',
+      'stats.withoutEntry': 'sans entrée',
+      'stats.volatility': 'Volatilité',
+      'stats.volatilityDetail': 'écart type journalier',
+      'stats.bestDay': 'Meilleur jour',
+      'stats.worstDay': 'Jour le plus bas',
+      'stats.evolution': 'Évolution',
+      'stats.distribution': 'Distribution',
+      'stats.byTag': 'Par activité',
+      'stats.noTags': 'Aucune activité notée sur cette période.',
+      'stats.tagsHint': 'Humeur moyenne par activité, comparée à la moyenne générale ({average}).',
+
+      'timeline.label': "Courbe de l'humeur quotidienne et de la moyenne sur {days} jours. Les valeurs sont détaillées dans le tableau des données.",
+      'timeline.empty': 'Aucune donnée sur cette période.',
+      'timeline.noEntry': '{date} : aucune entrée',
+      'timeline.point': '{date} : {mood} ({value})',
+      'timeline.pointRolling': '{date} : {mood} ({value}), moyenne sur {days} jours {rolling}',
+      'timeline.daily': 'Humeur du jour',
+      'timeline.rolling': 'Moyenne sur {days} jours',
+      'timeline.table': 'Tableau des données',
+      'timeline.date': 'Date',
+      'timeline.entries': 'Entrées',
+      'timeline.rollingColumn': 'Moyenne {days} j',
+
+      'language.title': 'Langue',
+      'language.label': "Langue de l'application",
+      'language.auto': 'Automatique ({language})',
+
+      'reminders.title': 'Rappels',
+      'reminders.remove': 'Supprimer le rappel de {time}',
+      'reminders.pageOnly': "Les rappels ne s'affichent que lorsque l'application est ouverte sur cet appareil.",
+      'reminders.background': "Les rappels s'affichent même application fermée.",
+      'reminders.skipLogged': 'Aucun rappel si vous avez déjà noté votre humeur du jour.',
+      'reminders.none': 'Aucun rappel programmé.',
+      'reminders.new': 'Nouveau rappel :',
+      'reminders.days': 'Jours du rappel',
+      'reminders.everyDay': 'Tous les jours',
+      'reminders.weekdays': 'En semaine',
+      'reminders.weekend': 'Le week-end',
+      'reminders.denied': 'Notifications refusées. Activez-les dans les paramètres du navigateur.',
+      'notifications.enabled': 'Les notifications sont activées !',
+      'notifications.reminder': "N'oubliez pas de noter votre humeur aujourd'hui !",
+
+      'scale.title': "Échelle d'humeur",
+      'scale.points': 'Nombre de niveaux :',
+      'scale.emoji': 'Emoji du niveau {level}',
+      'scale.label': 'Libellé du niveau {level}',
+      'scale.hint': 'Les entrées existantes sont converties vers la nouvelle échelle (par exemple 4/5 devient 8/10).',
+      'scale.save': "Enregistrer l'échelle",
+      'scale.invalid': 'Chaque niveau doit avoir un emoji et un libellé, sans les caractères < > " &.',
+
+      'backup.title': 'Sauvegarde',
+      'backup.exportJSON': 'Exporter (JSON)',
+      'backup.exportCSV': 'Exporter (CSV)',
+      'backup.exportEncrypted': 'Exporter (chiffré)',
+      'backup.import': 'Importer…',
+      'backup.passphrase': 'Phrase secrète de la sauvegarde',
+      'backup.confirmPassphrase': 'Confirmer la phrase secrète',
+      'backup.download': 'Télécharger',
+      'backup.mismatch': 'Les phrases ne correspondent pas',
+      'backup.decrypt': 'Déchiffrer',
+      'backup.filename': 'journal-humeur',
+      'backup.encryptedSuffix': 'chiffre',
+      'backup.unreadableJSON': 'Fichier JSON illisible',
+      'backup.noEntries': 'Aucune entrée trouvée dans le fichier',
+      'backup.newerVersion': "Sauvegarde créée par une version plus récente de l'application",
+      'backup.csvHeader': 'En-tête CSV attendu : date, time, mood, label, tags, note',
+      'backup.duplicate': 'Entrée en double : {entry}',
+      'backup.invalidLine': 'Ligne invalide',
+      'backup.invalidDate': 'Date invalide : « {date} »',
+      'backup.invalidScale': "Échelle d'humeur invalide pour le {date}",
+      'backup.invalidMood': 'Humeur invalide pour le {date}',
+      'backup.invalidTime': 'Heure invalide pour le {date} : « {time} »',
+      'backup.invalidPhotos': 'Photos illisibles pour le {date}',
+      'backup.invalidNote': 'Note chiffrée illisible pour le {date}',
+
+      'import.new': 'Nouvelles entrées',
+      'import.changed': 'Entrées modifiées',
+      'import.conflicts': 'Conflits (modifiées ici depuis la sauvegarde)',
+      'import.unchanged': { one: '{count} entrée identique, ignorée', other: '{count} entrées identiques, ignorées' },
+      'import.rejected': 'Lignes rejetées',
+      'import.line': 'Ligne {line} : ',
+      'import.nothing': 'Rien à importer.',
+      'import.unreadable': 'Impossible de lire ce fichier.',
+      'import.conflictMode': 'En cas de conflit',
+      'import.merge': 'Fusionner (garder mes entrées)',
+      'import.overwrite': "Écraser (le fichier l'emporte)",
+      'import.confirm': 'Importer',
+      'import.done': { one: '{count} entrée importée.', other: '{count} entrées importées.' },
+      'import.format': 'Format du fichier',
+      'import.format.daylio': 'Daylio (CSV)',
+      'import.format.generic': 'Autre CSV (colonnes au choix)',
+      'import.moodMapping': 'Correspondance des humeurs',
+      'import.unmapped': 'Ne pas importer',
+      'import.unmappedMood': 'Humeur « {mood} » sans correspondance',
+      'import.columns': 'Colonnes',
+      'import.hasHeader': 'La première ligne contient les noms des colonnes',
+      'import.column.date': 'Date',
+      'import.column.time': 'Heure',
+      'import.column.score': 'Humeur (note)',
+      'import.column.note': 'Note',
+      'import.column.tags': 'Tags',
+      'import.columnN': 'Colonne {n}',
+      'import.noColumn': 'Aucune',
+      'import.dateFormat': 'Dates écrites',
+      'import.dateFormat.ymd': 'année-mois-jour (2024-05-14)',
+      'import.dateFormat.dmy': 'jour/mois/année (14/05/2024)',
+      'import.dateFormat.mdy': 'mois/jour/année (05/14/2024)',
+      'import.scoreMin': 'Note la plus basse',
+      'import.scoreMax': 'la plus haute',
+      'import.invalidScore': 'Note « {score} » hors de l’échelle {min}–{max}',
+
+      'vault.title': 'Chiffrement des notes',
+      'vault.enabled': 'Vos notes sont chiffrées sur cet appareil.',
+      'vault.intro': 'Chiffrez vos notes avec une phrase secrète, demandée à chaque ouverture du journal. Une phrase oubliée ne peut pas être récupérée.',
+      'vault.lockNow': 'Verrouiller maintenant',
+      'vault.change': 'Changer la phrase secrète',
+      'vault.changeSubmit': 'Changer',
+      'vault.disable': 'Désactiver le chiffrement',
+      'vault.disableSubmit': 'Désactiver',
+      'vault.enableSubmit': 'Activer',
+      'vault.passphrase': 'Phrase secrète',
+      'vault.current': 'Phrase actuelle',
+      'vault.currentLabel': 'Phrase secrète actuelle',
+      'vault.new': 'Nouvelle phrase',
+      'vault.newLabel': 'Nouvelle phrase secrète',
+      'vault.confirmLabel': 'Confirmer la phrase secrète',
+      'vault.confirmNewLabel': 'Confirmer la nouvelle phrase secrète',
+      'vault.mismatch': 'Les phrases secrètes ne correspondent pas.',
+      'vault.failed': "Opération impossible, vos notes n'ont pas été modifiées.",
+      'vault.wrong': 'Phrase secrète incorrecte.',
+      'vault.wrongCurrent': 'Phrase secrète actuelle incorrecte.',
+      'lock.title': 'Journal verrouillé',
+      'lock.unlock': 'Déverrouiller',
+      'lock.checking': 'Vérification…',
+
+      'history.title': 'Historique',
+      'history.search': 'Rechercher dans les notes…',
+      'history.searchLabel': 'Rechercher dans les notes',
+      'history.moodFilter': 'Filtrer par humeur',
+      'history.from': 'Du',
+      'history.to': 'Au',
+      'history.clear': 'Effacer les filtres',
+      'history.deleted': 'Entrée déplacée dans la corbeille',
+      'history.empty': 'Aucune entrée pour le moment.<br>Commencez par ajouter votre humeur !',
+      'history.noResults': 'Aucun résultat',
+      'history.results': { one: '{count} résultat', other: '{count} résultats' },
+      'history.unreadable': 'Note chiffrée avec une autre phrase secrète',
+      'photos.title': 'Photos',
+      'photos.take': 'Prendre une photo',
+      'photos.choose': 'Choisir des photos',
+      'photos.open': 'Voir la photo {n}',
+      'photos.remove': 'Retirer la photo {n}',
+      'photos.viewer': 'Photo',
+      'photos.unreadable': 'Image illisible ou format non pris en charge',
+      'photos.quota': "Espace de stockage insuffisant : les photos n'ont pas été enregistrées.",
+      'photos.saveFailed': "Les photos n'ont pas pu être enregistrées.",
+      'storage.title': 'Stockage',
+      'storage.usage': '{used} utilisés sur {quota} disponibles',
+      'storage.unavailable': "Ce navigateur n'indique pas l'espace utilisé.",
+      'storage.photos': { one: '{count} photo ({size})', other: '{count} photos ({size})' },
+      'storage.persisted': "Données protégées : le navigateur ne les effacera pas pour libérer de l'espace.",
+      'storage.notPersisted': "Le navigateur peut effacer les données de l'application si l'appareil manque d'espace.",
+      'storage.persist': 'Protéger mes données',
+      'storage.persistDenied': "Le navigateur a refusé. Installer l'application ou l'utiliser régulièrement aide souvent.",
+      'trash.title': 'Corbeille',
+      'trash.hint': 'Les entrées supprimées sont effacées définitivement au bout de {days} jours.',
+      'trash.empty': 'La corbeille est vide.',
+      'trash.deletedOn': 'Supprimée le {date}',
+      'trash.restore': 'Restaurer',
+      'trash.purge': 'Supprimer définitivement',
+      'trash.emptyAll': 'Vider la corbeille',
+      'trash.confirmEmpty': {
+        one: 'Effacer définitivement {count} entrée ?',
+        other: 'Effacer définitivement {count} entrées ?'
+      },
+      'trash.restored': 'Entrée restaurée',
+      'trash.superseded': 'Cette entrée a été modifiée sur un autre appareil, cette version est conservée.'
+    },
+
+    en: {
+      'app.title': 'Mood Journal',
+      'app.description': 'Mood Journal — Track your mood every day',
+      'common.add': 'Add',
+      'common.cancel': 'Cancel',
+      'common.close': 'Close',
+      'common.confirm': 'Confirm',
+      'common.delete': 'Delete',
+      'common.entries': { one: '{count} entry', other: '{count} entries' },
+      'common.later': 'Not now',
+      'common.noData': 'No data',
+      'common.undo': 'Undo',
+
+      'tabs.label': 'Main navigation',
+      'tabs.add': 'Add',
+      'tabs.addLabel': 'Add a mood',
+      'tabs.calendar': 'Calendar',
+      'tabs.stats': 'Stats',
+      'tabs.statsLabel': 'Statistics',
+      'tabs.history': 'History',
+      'tabs.settings': 'Settings',
+
+      'settings.title': 'Settings',
+
+      'report.heading': 'Monthly report',
+      'report.title': 'My mood — {month}',
+      'report.filename': 'mood-report',
+      'report.share': 'Share image',
+      'report.download': 'Download image',
+      'report.print': 'Print',
+      'report.includeNotes': 'Notes when printing',
+      'report.notes': 'Notes',
+      'report.noNotes': 'No notes this month.',
+      'report.generated': 'Report generated on {date}',
+      'report.failed': 'The report image could not be created.',
+      'report.printFailed': 'The report could not be prepared for printing.',
+
+      'theme.title': 'Appearance',
+      'theme.system': 'Automatic',
+      'theme.light': 'Light',
+      'theme.dark': 'Dark',
+
+      'reset.title': 'Reset',
+      'reset.hint': 'Erases the journal, photos, trash, settings and app files on this device. Export a backup first.',
+      'reset.button': 'Erase everything',
+      'reset.confirm': 'Erase all data on this device? This cannot be undone. Moods already synced will be downloaded again from the server.',
+      'reset.failed': 'The reset failed. Close the other tabs of the app and try again.',
+
+      'notifBanner.title': 'Turn on notifications',
+      'notifBanner.text': 'Get a daily reminder to log your mood',
+      'notifBanner.accept': 'Turn on',
+      'install.title': 'Install the app',
+      'install.text': 'Open the journal straight from your home screen',
+      'install.accept': 'Install',
+      'install.iosLabel': 'Installation instructions',
+      'install.iosTitle': 'Install Mood Journal',
+      'install.iosShare': 'Tap the <strong>Share</strong> button',
+      'install.iosHomeScreen': 'Scroll down and tap <strong>Add to Home Screen</strong>',
+      'install.iosAdd': 'Tap <strong>Add</strong>',
+      'update.available': 'New version available',
+      'update.reload': 'Reload',
+
+      'network.offline': 'Offline — your data is saved on this device',
+      'network.syncing': 'Syncing…',
+      'network.online': 'Back online',
+      'network.synced': {
+        one: 'Back online — {count} entry synced',
+        other: 'Back online — {count} entries synced'
+      },
+      'network.syncFailed': 'Back online — syncing is not possible right now',
+
+      'scale.3': ['Bad', 'Okay', 'Good'],
+      'scale.5': ['Very sad', 'Sad', 'Neutral', 'Happy', 'Very happy'],
+      'scale.10': ['Awful', 'Very bad', 'Bad', 'Rather bad', 'So-so', 'Fair', 'Good', 'Very good', 'Excellent', 'Perfect'],
+      'tags.defaults': ['Exercise', 'Work', 'Family', 'Friends', 'Sleep', 'Going out'],
+
+      'add.title': 'How are you feeling?',
+      'add.moodLabel': 'Mood level',
+      'add.date': 'Date',
+      'add.time': 'Time',
+      'add.note': 'Note (optional)',
+      'add.notePlaceholder': 'How was your day?',
+      'add.tags': 'Activities',
+      'add.newTag': 'New activity',
+      'add.save': 'Save',
+      'add.update': 'Update',
+      'add.dayTitle': 'That day',
+      'add.newCheckin': '+ New',
+      'add.saved': 'Mood saved!',
+      'add.savedOffline': 'Mood saved on this device (waiting to sync)',
+      'add.updated': 'Entry updated',
+      'add.draft': 'Unsaved draft',
+      'add.leaveConfirm': 'This mood is not saved. Leave anyway? The draft will be kept.',
+      'add.discardConfirm': 'This mood is not saved. Discard the changes?',
+      'add.reverted': 'Change undone',
+
+      'calendar.modeLabel': 'Calendar view',
+      'calendar.month': 'Month',
+      'calendar.year': 'Year',
+      'calendar.prevMonth': 'Previous month',
+      'calendar.nextMonth': 'Next month',
+      'calendar.prevYear': 'Previous year',
+      'calendar.nextYear': 'Next year',
+      'calendar.monthShown': 'Showing {month}',
+      'calendar.yearShown': 'Showing {year}',
+      'calendar.yearLabel': '{year} in pixels',
+      'calendar.dayOne': '{date}, mood: {mood}',
+      'calendar.dayMany': '{date}, {count} entries, average mood: {mood}',
+
+      'stats.period.week': 'Week',
+      'stats.period.month': 'Month',
+      'stats.period.quarter': 'Quarter',
+      'stats.period.year': 'Year',
+      'stats.period.custom': 'Custom',
+      'stats.periodLabel': 'Statistics period',
+      'stats.weekLabel': 'Week of {from} – {to}',
+      'stats.quarterLabel': 'Q{quarter} {year}',
+      'stats.customLabel': '{from} – {to}',
+      'stats.from': 'From',
+      'stats.to': 'to',
+      'stats.show': 'Show',
+      'stats.prev': 'Previous period',
+      'stats.next': 'Next period',
+      'stats.average': 'Average mood',
+      'stats.entries': 'Entries',
+      'stats.overDays': { one: 'over {count} day', other: 'over {count} days' },
+      'stats.trend': 'Trend',
+      'stats.trend.up': 'Rising',
+      'stats.trend.down': 'Falling',
+      'stats.trend.stable': 'Stable',
+      'stats.slope': '{slope}/week, {confidence}',
+      'stats.confidence.high': 'high confidence',
+      'stats.confidence.medium': 'medium confidence',
+      'stats.confidence.low': 'low confidence',
+      'stats.currentStreak': 'Current streak',
+      'stats.streakDays': { one: 'day', other: 'days in a row' },
+      'stats.longestStreak': 'Longest streak',
+      'stats.inPeriod': 'in this period',
+      'stats.missedDays': 'Missed days',
+      'stats.withoutEntry': 'without entries',
+      'stats.volatility': 'Volatility',
+      'stats.volatilityDetail': 'daily standard deviation',
+      'stats.bestDay': 'Best day',
+      'stats.worstDay': 'Lowest day',
+      'stats.evolution': 'Over time',
+      'stats.distribution': 'Distribution',
+      'stats.byTag': 'By activity',
+      'stats.noTags': 'No activities logged in this period.',
+      'stats.tagsHint': 'Average mood per activity, compared with the overall average ({average}).',
+
+      'timeline.label': 'Daily mood and {days}-day average. The values are listed in the data table.',
+      'timeline.empty': 'No data for this period.',
+      'timeline.noEntry': '{date}: no entries',
+      'timeline.point': '{date}: {mood} ({value})',
+      'timeline.pointRolling': '{date}: {mood} ({value}), {days}-day average {rolling}',
+      'timeline.daily': 'Daily mood',
+      'timeline.rolling': '{days}-day average',
+      'timeline.table': 'Data table',
+      'timeline.date': 'Date',
+      'timeline.entries': 'Entries',
+      'timeline.rollingColumn': '{days}-day avg.',
+
+      'language.title': 'Language',
+      'language.label': 'App language',
+      'language.auto': 'Automatic ({language})',
+
+      'reminders.title': 'Reminders',
+      'reminders.remove': 'Delete the {time} reminder',
+      'reminders.pageOnly': 'Reminders only show while the app is open on this device.',
+      'reminders.background': 'Reminders show even when the app is closed.',
+      'reminders.skipLogged': 'No reminder once you have logged your mood for the day.',
+      'reminders.none': 'No reminders set.',
+      'reminders.new': 'New reminder:',
+      'reminders.days': 'Reminder days',
+      'reminders.everyDay': 'Every day',
+      'reminders.weekdays': 'Weekdays',
+      'reminders.weekend': 'Weekends',
+      'reminders.denied': 'Notifications are blocked. Allow them in your browser settings.',
+      'notifications.enabled': 'Notifications are on!',
+      'notifications.reminder': "Don't forget to log your mood today!",
+
+      'scale.title': 'Mood scale',
+      'scale.points': 'Number of levels:',
+      'scale.emoji': 'Level {level} emoji',
+      'scale.label': 'Level {level} label',
+      'scale.hint': 'Existing entries are converted to the new scale (for example 4/5 becomes 8/10).',
+      'scale.save': 'Save scale',
+      'scale.invalid': 'Every level needs an emoji and a label, without the characters < > " &.',
+
+      'backup.title': 'Backup',
+      'backup.exportJSON': 'Export (JSON)',
+      'backup.exportCSV': 'Export (CSV)',
+      'backup.exportEncrypted': 'Export (encrypted)',
+      'backup.import': 'Import…',
+      'backup.passphrase': 'Backup passphrase',
+      'backup.confirmPassphrase': 'Confirm the passphrase',
+      'backup.download': 'Download',
+      'backup.mismatch': "The passphrases don't match",
+      'backup.decrypt': 'Decrypt',
+      'backup.filename': 'mood-journal',
+      'backup.encryptedSuffix': 'encrypted',
+      'backup.unreadableJSON': 'Unreadable JSON file',
+      'backup.noEntries': 'No entries found in the file',
+      'backup.newerVersion': 'Backup made by a newer version of the app',
+      'backup.csvHeader': 'Expected CSV header: date, time, mood, label, tags, note',
+      'backup.duplicate': 'Duplicate entry: {entry}',
+      'backup.invalidLine': 'Invalid line',
+      'backup.invalidDate': 'Invalid date: “{date}”',
+      'backup.invalidScale': 'Invalid mood scale on {date}',
+      'backup.invalidMood': 'Invalid mood on {date}',
+      'backup.invalidTime': 'Invalid time on {date}: “{time}”',
+      'backup.invalidPhotos': 'Unreadable photos on {date}',
+      'backup.invalidNote': 'Unreadable encrypted note on {date}',
+
+      'import.new': 'New entries',
+      'import.changed': 'Changed entries',
+      'import.conflicts': 'Conflicts (changed here since the backup)',
+      'import.unchanged': { one: '{count} identical entry skipped', other: '{count} identical entries skipped' },
+      'import.rejected': 'Rejected lines',
+      'import.line': 'Line {line}: ',
+      'import.nothing': 'Nothing to import.',
+      'import.unreadable': 'This file could not be read.',
+      'import.conflictMode': 'On conflict',
+      'import.merge': 'Merge (keep my entries)',
+      'import.overwrite': 'Overwrite (the file wins)',
+      'import.confirm': 'Import',
+      'import.done': { one: '{count} entry imported.', other: '{count} entries imported.' },
+      'import.format': 'File format',
+      'import.format.daylio': 'Daylio (CSV)',
+      'import.format.generic': 'Other CSV (choose the columns)',
+      'import.moodMapping': 'Mood mapping',
+      'import.unmapped': "Don't import",
+      'import.unmappedMood': 'Mood “{mood}” is not mapped',
+      'import.columns': 'Columns',
+      'import.hasHeader': 'The first row holds the column names',
+      'import.column.date': 'Date',
+      'import.column.time': 'Time',
+      'import.column.score': 'Mood (score)',
+      'import.column.note': 'Note',
+      'import.column.tags': 'Tags',
+      'import.columnN': 'Column {n}',
+      'import.noColumn': 'None',
+      'import.dateFormat': 'Dates written as',
+      'import.dateFormat.ymd': 'year-month-day (2024-05-14)',
+      'import.dateFormat.dmy': 'day/month/year (14/05/2024)',
+      'import.dateFormat.mdy': 'month/day/year (05/14/2024)',
+      'import.scoreMin': 'Lowest score',
+      'import.scoreMax': 'highest',
+      'import.invalidScore': 'Score “{score}” is outside the {min}–{max} range',
+
+      'vault.title': 'Note encryption',
+      'vault.enabled': 'Your notes are encrypted on this device.',
+      'vault.intro': 'Encrypt your notes with a passphrase, asked for every time the journal opens. A forgotten passphrase cannot be recovered.',
+      'vault.lockNow': 'Lock now',
+      'vault.change': 'Change the passphrase',
+      'vault.changeSubmit': 'Change',
+      'vault.disable': 'Turn off encryption',
+      'vault.disableSubmit': 'Turn off',
+      'vault.enableSubmit': 'Turn on',
+      'vault.passphrase': 'Passphrase',
+      'vault.current': 'Current passphrase',
+      'vault.currentLabel': 'Current passphrase',
+      'vault.new': 'New passphrase',
+      'vault.newLabel': 'New passphrase',
+      'vault.confirmLabel': 'Confirm the passphrase',
+      'vault.confirmNewLabel': 'Confirm the new passphrase',
+      'vault.mismatch': "The passphrases don't match.",
+      'vault.failed': 'The operation failed; your notes were not changed.',
+      'vault.wrong': 'Wrong passphrase.',
+      'vault.wrongCurrent': 'The current passphrase is wrong.',
+      'lock.title': 'Journal locked',
+      'lock.unlock': 'Unlock',
+      'lock.checking': 'Checking…',
+
+      'history.title': 'History',
+      'history.search': 'Search notes…',
+      'history.searchLabel': 'Search notes',
+      'history.moodFilter': 'Filter by mood',
+      'history.from': 'From',
+      'history.to': 'To',
+      'history.clear': 'Clear filters',
+      'history.deleted': 'Entry moved to the trash',
+      'history.empty': 'No entries yet.<br>Start by adding your mood!',
+      'history.noResults': 'No results',
+      'history.results': { one: '{count} result', other: '{count} results' },
+      'history.unreadable': 'Note encrypted with another passphrase',
+      'photos.title': 'Photos',
+      'photos.take': 'Take a photo',
+      'photos.choose': 'Choose photos',
+      'photos.open': 'View photo {n}',
+      'photos.remove': 'Remove photo {n}',
+      'photos.viewer': 'Photo',
+      'photos.unreadable': 'Unreadable image or unsupported format',
+      'photos.quota': 'Not enough storage space: the photos were not saved.',
+      'photos.saveFailed': 'The photos could not be saved.',
+      'storage.title': 'Storage',
+      'storage.usage': '{used} used of {quota} available',
+      'storage.unavailable': "This browser doesn't report storage usage.",
+      'storage.photos': { one: '{count} photo ({size})', other: '{count} photos ({size})' },
+      'storage.persisted': "Data protected: the browser won't clear it to free up space.",
+      'storage.notPersisted': "The browser may clear the app's data if the device runs low on space.",
+      'storage.persist': 'Protect my data',
+      'storage.persistDenied': 'The browser declined. Installing the app or using it regularly often helps.',
+      'trash.title': 'Trash',
+      'trash.hint': 'Deleted entries are erased for good after {days} days.',
+      'trash.empty': 'The trash is empty.',
+      'trash.deletedOn': 'Deleted on {date}',
+      'trash.restore': 'Restore',
+      'trash.purge': 'Delete forever',
+      'trash.emptyAll': 'Empty trash',
+      'trash.confirmEmpty': {
+        one: 'Erase {count} entry for good?',
+        other: 'Erase {count} entries for good?'
+      },
+      'trash.restored': 'Entry restored',
+      'trash.superseded': 'This entry was changed on another device; that version is kept.'
+    }
+  };
 
   // ── Helpers ──
 
@@ -20,7 +659,7 @@
 
   function formatDateDisplay(dateStr) {
     const d = new Date(dateStr + 'T00:00:00');
-    return d.toLocaleDateString('fr-FR', {
+    return d.toLocaleDateString(I18n.locale, {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -28,674 +667,5684 @@
     });
   }
 
+  // YYYY-MM-DD `days` later (or earlier when negative)
+  function addDays(dateStr, days) {
+    const d = new Date(dateStr + 'T00:00:00');
+    d.setDate(d.getDate() + days);
+    return formatDate(d);
+  }
+
+  function formatDateShort(dateStr) {
+    const d = new Date(dateStr + 'T00:00:00');
+    return d.toLocaleDateString(I18n.locale, { day: 'numeric', month: 'short' });
+  }
+
+  // "5 octobre" / "October 5"
+  function formatDayMonth(dateStr) {
+    const d = new Date(dateStr + 'T00:00:00');
+    return d.toLocaleDateString(I18n.locale, { day: 'numeric', month: 'long' });
+  }
+
+  // "Octobre 2026" / "October 2026"
+  function formatMonthYear(d) {
+    return capitalize(d.toLocaleDateString(I18n.locale, { month: 'long', year: 'numeric' }));
+  }
+
+  function capitalize(str) {
+    return str.charAt(0).toLocaleUpperCase(I18n.locale) + str.slice(1);
+  }
+
+  function t(key, params) {
+    return I18n.t(key, params);
+  }
+
+  // Read out by screen readers without moving focus (#announcer)
+  function announce(text) {
+    const el = document.getElementById('announcer');
+    // Cleared first so the same text is read again
+    el.textContent = '';
+    setTimeout(() => { el.textContent = text; }, 50);
+  }
+
+  function formatTime(d) {
+    return `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+  }
+
+  // Chronological order: by date, then time of day
+  function compareEntries(a, b) {
+    return a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || '');
+  }
+
+  // Map of date → check-ins of that day
+  function groupByDate(entries) {
+    const days = new Map();
+    entries.forEach(e => {
+      if (!days.has(e.date)) days.set(e.date, []);
+      days.get(e.date).push(e);
+    });
+    return days;
+  }
+
+  function averageMood(entries) {
+    return entries.reduce((acc, e) => acc + e.mood, 0) / entries.length;
+  }
+
   function escapeHtml(str) {
     const el = document.createElement('span');
     el.textContent = str;
     return el.innerHTML;
   }
 
+  // Lower-case and strip accents ("Été" → "ete") for matching French text.
+  // `map[i]` is the index in `str` of folded character i, for highlighting.
+  function foldText(str) {
+    let text = '';
+    const map = [];
+    for (let i = 0; i < str.length; i++) {
+      const folded = str[i].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+      for (let j = 0; j < folded.length; j++) {
+        text += folded[j];
+        map.push(i);
+      }
+    }
+    return { text, map };
+  }
+
+  // Escaped HTML of `str` with every occurrence of the (folded) terms in <mark>
+  function highlightTerms(str, terms) {
+    if (terms.length === 0) return escapeHtml(str);
+    const { text, map } = foldText(str);
+    const marked = new Array(str.length).fill(false);
+    terms.forEach(term => {
+      for (let i = text.indexOf(term); i !== -1; i = text.indexOf(term, i + 1)) {
+        for (let k = i; k < i + term.length; k++) marked[map[k]] = true;
+      }
+    });
+
+    let html = '';
+    let i = 0;
+    while (i < str.length) {
+      let j = i;
+      while (j < str.length && marked[j] === marked[i]) j++;
+      const chunk = escapeHtml(str.slice(i, j));
+      html += marked[i] ? `<mark>${chunk}</mark>` : chunk;
+      i = j;
+    }
+    return html;
+  }
+
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // 1536000 → "1,5 Mo" / "1.5 MB"
+  function formatBytes(bytes) {
+    const units = ['kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+    let value = bytes / 1000;
+    let i = 0;
+    while (value >= 1000 && i < units.length - 1) {
+      value /= 1000;
+      i++;
+    }
+    return new Intl.NumberFormat(I18n.locale, { style: 'unit', unit: units[i], unitDisplay: 'short', maximumFractionDigits: 1 }).format(value);
+  }
+
+  function isValidDate(dateStr) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+    const d = new Date(dateStr + 'T00:00:00');
+    return !isNaN(d) && formatDate(d) === dateStr;
+  }
+
+  // ── Settings Module ──
+  //
+  // Preferences of this device, kept together in localStorage as
+  // { version, values }. Every setting has a type and a default in SCHEMA;
+  // a stored value of another type reads as the default. Changing the
+  // stored shape means bumping VERSION and adding the step to MIGRATIONS.
+  // Reminders are not settings: the service worker reads them from the
+  // `meta` store (see Notifications, which also migrates `reminderTime`).
+
+  const Settings = {
+    STORAGE_KEY: 'settings',
+    VERSION: 1,
+    SCHEMA: {
+      theme: { type: 'string', values: ['system', 'light', 'dark'], default: 'system' },
+      language: { type: 'string', default: '' }, // '' follows the browser
+      notifBannerDismissed: { type: 'string', default: '' }, // YYYY-MM-DD
+      installDismissed: { type: 'number', default: 0 }, // timestamp
+      installed: { type: 'boolean', default: false }
+    },
+    // MIGRATIONS[n] turns the values of version n - 1 into version n
+    MIGRATIONS: [
+      null,
+      // 1: one localStorage key per preference
+      (values) => {
+        const legacy = (key) => {
+          const value = localStorage.getItem(key);
+          localStorage.removeItem(key);
+          return value;
+        };
+        const language = legacy('language');
+        const bannerDismissed = legacy('notifBannerDismissed');
+        const installDismissed = legacy('install-dismissed');
+        const installed = legacy('pwa-installed');
+        if (language) values.language = language;
+        if (bannerDismissed) values.notifBannerDismissed = bannerDismissed;
+        if (installDismissed) values.installDismissed = Number(installDismissed);
+        if (installed) values.installed = installed === 'true';
+        return values;
+      }
+    ],
+    values: {},
+
+    load() {
+      let stored = null;
+      try {
+        stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+      } catch (_) { /* unreadable: start over from the defaults */ }
+      const version = stored && Number.isInteger(stored.version) ? stored.version : 0;
+      let values = stored && typeof stored.values === 'object' && stored.values ? stored.values : {};
+      for (let v = version + 1; v <= this.VERSION; v++) values = this.MIGRATIONS[v](values);
+      this.values = values;
+      if (version < this.VERSION) this.persist();
+    },
+
+    valid(name, value) {
+      const def = this.SCHEMA[name];
+      return typeof value === def.type && (!def.values || def.values.includes(value));
+    },
+
+    get(name) {
+      const value = this.values[name];
+      return this.valid(name, value) ? value : this.SCHEMA[name].default;
+    },
+
+    set(name, value) {
+      if (!this.SCHEMA[name]) throw new Error(`Unknown setting: ${name}`);
+      if (!this.valid(name, value)) throw new Error(`Invalid value for setting ${name}`);
+      this.values[name] = value;
+      this.persist();
+    },
+
+    persist() {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ version: this.VERSION, values: this.values }));
+    }
+  };
+
+  // ── I18n Module ──
+  //
+  // Language of the interface: the one picked in the settings, else the
+  // first of the browser's languages that has a catalogue. Dates and the
+  // first day of the week follow the browser's locale for that language
+  // (en-GB weeks start on Monday, en-US ones on Sunday). The language is
+  // copied to the `meta` store for the service worker's notifications.
+
+  const I18n = {
+    LANGUAGES: { fr: 'Français', en: 'English' },
+    DEFAULT: 'fr',
+    // Weeks starting on Sunday, for browsers without Intl week data
+    SUNDAY_REGIONS: ['US', 'CA', 'MX', 'BR', 'JP', 'IL', 'PH', 'IN'],
+
+    lang: 'fr',
+    locale: 'fr',
+    firstDay: 0,      // first day of the week, Monday = 0
+    monthNames: [],
+    dayNames: [],     // short weekday names, Monday first
+    weekdayNames: [], // full weekday names, Monday first
+    plurals: null,
+
+    // '' (follow the browser) or a key of LANGUAGES
+    getSetting() {
+      const lang = Settings.get('language');
+      return this.LANGUAGES[lang] ? lang : '';
+    },
+
+    async init() {
+      this.use(this.getSetting());
+      if ((await DB.getMeta('language')) !== this.lang) await DB.setMeta('language', this.lang);
+    },
+
+    async set(setting) {
+      Settings.set('language', setting);
+      await this.init();
+    },
+
+    browserLanguages() {
+      return navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || this.DEFAULT];
+    },
+
+    detect() {
+      const langs = this.browserLanguages().map(l => l.split('-')[0].toLowerCase());
+      return langs.find(l => this.LANGUAGES[l]) || this.DEFAULT;
+    },
+
+    use(setting) {
+      this.lang = setting || this.detect();
+      this.locale = this.browserLanguages().find(l => l.split('-')[0].toLowerCase() === this.lang) || this.lang;
+      this.plurals = new Intl.PluralRules(this.locale);
+      this.firstDay = this.weekStart(this.locale);
+      // 1 January 2024 was a Monday
+      const day = (i) => new Date(2024, 0, 1 + i);
+      this.monthNames = Array.from({ length: 12 }, (_, m) => capitalize(new Date(2024, m, 1).toLocaleDateString(this.locale, { month: 'long' })));
+      this.dayNames = Array.from({ length: 7 }, (_, i) => capitalize(day(i).toLocaleDateString(this.locale, { weekday: 'short' })));
+      this.weekdayNames = Array.from({ length: 7 }, (_, i) => capitalize(day(i).toLocaleDateString(this.locale, { weekday: 'long' })));
+      this.translatePage();
+    },
+
+    weekStart(locale) {
+      try {
+        const loc = new Intl.Locale(locale);
+        const info = loc.getWeekInfo ? loc.getWeekInfo() : loc.weekInfo;
+        if (info) return info.firstDay - 1; // 1 = Monday … 7 = Sunday
+        return this.SUNDAY_REGIONS.includes(loc.maximize().region) ? 6 : 0;
+      } catch (_) {
+        return 0;
+      }
+    },
+
+    // Weekdays (Monday = 0) in the order the locale lists them
+    weekOrder() {
+      return Array.from({ length: 7 }, (_, i) => (this.firstDay + i) % 7);
+    },
+
+    message(key) {
+      const own = MESSAGES[this.lang][key];
+      return own !== undefined ? own : MESSAGES[this.DEFAULT][key];
+    },
+
+    t(key, params = {}) {
+      let msg = this.message(key);
+      if (msg === undefined) return key;
+      if (typeof msg === 'object') msg = msg[this.plurals.select(params.count)] || msg.other;
+      return msg.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    },
+
+    // List messages (scale labels, default tags)
+    list(key) {
+      return [...this.message(key)];
+    },
+
+    number(value, digits = 1) {
+      return value.toLocaleString(this.locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+    },
+
+    // Static markup of index.html
+    translatePage() {
+      document.documentElement.lang = this.lang;
+      document.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = this.t(el.dataset.i18n); });
+      document.querySelectorAll('[data-i18n-html]').forEach(el => { el.innerHTML = this.t(el.dataset.i18nHtml); });
+      document.querySelectorAll('[data-i18n-label]').forEach(el => el.setAttribute('aria-label', this.t(el.dataset.i18nLabel)));
+      document.querySelectorAll('[data-i18n-content]').forEach(el => el.setAttribute('content', this.t(el.dataset.i18nContent)));
+    }
+  };
+
   // ── DB Module (IndexedDB) ──
 
   const DB = {
     db: null,
+    VERSION: 5,
+    TRASH_DAYS: 30,
 
     open() {
       return new Promise((resolve, reject) => {
-        const req = indexedDB.open('mood-journal', 1);
+        const req = indexedDB.open('mood-journal', this.VERSION);
         req.onupgradeneeded = (e) => {
           const db = e.target.result;
-          if (!db.objectStoreNames.contains('entries')) {
-            db.createObjectStore('entries', { keyPath: 'date' });
+          const tx = e.target.transaction;
+          if (e.oldVersion < 1) {
+            this.createEntriesStore(db);
+          } else if (e.oldVersion < 2) {
+            this.migrateToV2(db, tx);
+          }
+          // v3: small key/value store shared with the service worker
+          if (e.oldVersion < 3) db.createObjectStore('meta', { keyPath: 'key' });
+          // v4: deleted check-ins, restorable for TRASH_DAYS
+          if (e.oldVersion < 4) {
+            db.createObjectStore('trash', { keyPath: 'uid' }).createIndex('trashedAt', 'trashedAt');
+          }
+          // v5: photos attached to check-ins, see Photos
+          if (e.oldVersion < 5) {
+            db.createObjectStore('photos', { keyPath: 'id', autoIncrement: true }).createIndex('entryUid', 'entryUid');
           }
         };
         req.onsuccess = (e) => {
           this.db = e.target.result;
+          // Another tab upgrades or deletes the database: step aside and
+          // start again with it
+          this.db.onversionchange = () => {
+            this.db.close();
+            location.reload();
+          };
           resolve(this.db);
         };
         req.onerror = (e) => reject(e.target.error);
       });
     },
 
-    put(entry) {
+    // Erase the whole journal (reset from the settings). Blocked by a tab
+    // that keeps the database open counts as a failure: the caller must not
+    // go on erasing what the notes need, such as the vault's salt.
+    destroy() {
+      this.db.close();
       return new Promise((resolve, reject) => {
-        const tx = this.db.transaction('entries', 'readwrite');
-        const store = tx.objectStore('entries');
-        const req = store.put(entry);
+        const req = indexedDB.deleteDatabase('mood-journal');
         req.onsuccess = () => resolve();
         req.onerror = (e) => reject(e.target.error);
+        req.onblocked = () => reject(new Error('Database deletion blocked by another tab'));
       });
     },
 
-    get(date) {
+    // v2: several check-ins per day. Rows are keyed by an auto-increment `id`
+    // and carry a `time` (HH:MM); `uid` is the identity shared with the sync
+    // server and other devices.
+    createEntriesStore(db) {
+      const store = db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+      store.createIndex('date', 'date');
+      store.createIndex('uid', 'uid', { unique: true });
+      return store;
+    },
+
+    // v1 rows were keyed by `date`, one per day. The date doubles as their
+    // `uid` so every device migrates the same day to the same identity.
+    migrateToV2(db, tx) {
+      tx.objectStore('entries').getAll().onsuccess = (e) => {
+        const rows = e.target.result;
+        db.deleteObjectStore('entries');
+        const store = this.createEntriesStore(db);
+        rows.forEach(row => {
+          store.add({ ...row, uid: row.date, time: row.time || formatTime(new Date(row.timestamp || Date.now())) });
+        });
+      };
+    },
+
+    getMeta(key) {
       return new Promise((resolve, reject) => {
-        const tx = this.db.transaction('entries', 'readonly');
+        const req = this.db.transaction('meta', 'readonly').objectStore('meta').get(key);
+        req.onsuccess = () => resolve(req.result ? req.result.value : undefined);
+        req.onerror = (e) => reject(e.target.error);
+      });
+    },
+
+    setMeta(key, value) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction('meta', 'readwrite');
+        tx.objectStore('meta').put({ key, value });
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e.target.error);
+      });
+    },
+
+    // Notes are encrypted by Vault before they reach the store and decrypted
+    // on the way out of get()/getAll(), where moods are also converted to the
+    // current Scale. The *Raw methods skip both steps. Writes made for the
+    // user are announced to the other tabs through Changes; those of Sync
+    // are announced once the whole sync is done.
+    // Resolves with the row id (new rows get one assigned).
+    async put(entry) {
+      const { id, ...rest } = await Vault.seal(entry);
+      const row = { ...rest, uid: rest.uid || crypto.randomUUID() };
+      if (id != null) row.id = id;
+      if (!row.deleted) row.scale = Scale.points;
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction('entries', 'readwrite');
+        const req = tx.objectStore('entries').put(row);
+        tx.oncomplete = () => {
+          Changes.notify([row.date]);
+          resolve(req.result);
+        };
+        tx.onerror = (e) => reject(e.target.error);
+      });
+    },
+
+    // Write several raw rows atomically (all or nothing), optionally with
+    // rows of the trash store in the same transaction
+    putManyRaw(rows, trashRows = []) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(['entries', 'trash'], 'readwrite');
         const store = tx.objectStore('entries');
-        const req = store.get(date);
+        const trash = tx.objectStore('trash');
+        rows.forEach(row => store.put(row));
+        trashRows.forEach(row => trash.put(row));
+        tx.oncomplete = () => {
+          Changes.notify(rows.map(row => row.date));
+          resolve();
+        };
+        tx.onerror = (e) => reject(e.target.error);
+        tx.onabort = (e) => reject(e.target.error);
+      });
+    },
+
+    // Replace raw rows in one transaction, provided they are still as they
+    // were read: `writes` are [storeName, before, after]. Resolves false,
+    // writing nothing, when a row changed in the meantime.
+    swapRaw(writes) {
+      if (writes.length === 0) return Promise.resolve(true);
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction([...new Set(writes.map(([name]) => name))], 'readwrite');
+        let changed = false;
+        writes.forEach(([name, before, after]) => {
+          const store = tx.objectStore(name);
+          const req = store.get(before[store.keyPath]);
+          req.onsuccess = () => {
+            if (changed) return;
+            if (JSON.stringify(req.result) !== JSON.stringify(before)) {
+              changed = true;
+              tx.abort();
+              return;
+            }
+            store.put(after);
+          };
+        });
+        tx.oncomplete = () => {
+          const dates = writes.filter(([name]) => name === 'entries').map(([, , row]) => row.date);
+          if (dates.length) Changes.notify(dates);
+          resolve(true);
+        };
+        tx.onabort = () => (changed ? resolve(false) : reject(tx.error));
+      });
+    },
+
+    getRaw(id) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction('entries', 'readonly');
+        const req = tx.objectStore('entries').get(id);
         req.onsuccess = () => resolve(req.result);
         req.onerror = (e) => reject(e.target.error);
       });
     },
 
-    getAll() {
+    async get(id, { includeDeleted = false } = {}) {
+      const entry = await this.getRaw(id);
+      if (!entry || (entry.deleted && !includeDeleted)) return undefined;
+      return this.read(entry);
+    },
+
+    // All check-ins of one day, in time order
+    getByDate(date) {
       return new Promise((resolve, reject) => {
         const tx = this.db.transaction('entries', 'readonly');
-        const store = tx.objectStore('entries');
+        const index = tx.objectStore('entries').index('date');
+        const req = index.getAll(date);
+        req.onsuccess = () => resolve(req.result.filter(e => !e.deleted));
+        req.onerror = (e) => reject(e.target.error);
+      }).then(rows => Promise.all(rows.map(e => this.read(e))))
+        .then(entries => entries.sort(compareEntries));
+    },
+
+    read(row) {
+      return Vault.open(Scale.normalize(row));
+    },
+
+    getAllRaw(storeName = 'entries') {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(storeName, 'readonly');
+        const store = tx.objectStore(storeName);
         const req = store.getAll();
         req.onsuccess = () => resolve(req.result);
         req.onerror = (e) => reject(e.target.error);
       });
     },
 
-    getByMonth(year, month) {
-      return this.getAll().then(entries =>
-        entries.filter(e => {
-          const [y, m] = e.date.split('-').map(Number);
-          return y === year && m === month + 1;
-        })
+    async getAll({ includeDeleted = false } = {}) {
+      const rows = await this.getAllRaw();
+      return Promise.all(
+        (includeDeleted ? rows : rows.filter(e => !e.deleted)).map(e => this.read(e))
       );
     },
 
-    delete(date) {
+    // Walk the `date` index over `range` in `direction` ('next' | 'prev').
+    // `visit(row)` is called for each live row and returns false to stop.
+    // Resolves with the visited rows, decrypted.
+    scanByDate(range, direction, visit) {
       return new Promise((resolve, reject) => {
-        const tx = this.db.transaction('entries', 'readwrite');
-        const store = tx.objectStore('entries');
-        const req = store.delete(date);
-        req.onsuccess = () => resolve();
+        const tx = this.db.transaction('entries', 'readonly');
+        const index = tx.objectStore('entries').index('date');
+        const req = index.openCursor(range, direction);
+        const rows = [];
+        req.onsuccess = () => {
+          const cursor = req.result;
+          if (!cursor) return resolve(rows);
+          const row = cursor.value;
+          if (!row.deleted) {
+            if (visit && visit(row, rows) === false) return resolve(rows);
+            rows.push(row);
+          }
+          cursor.continue();
+        };
         req.onerror = (e) => reject(e.target.error);
-      });
-    }
-  };
+      }).then(rows => Promise.all(rows.map(e => this.read(e))));
+    },
 
-  // ── Network Status Module ──
+    // Check-ins between two YYYY-MM-DD dates, both inclusive, in time order
+    async getRange(from, to) {
+      const entries = await this.scanByDate(IDBKeyRange.bound(from, to), 'next');
+      return entries.sort(compareEntries);
+    },
 
-  const NetworkStatus = {
-    banner: null,
-    hideTimeout: null,
-    pendingCount: 0,
+    getByMonth(year, month) {
+      const prefix = `${year}-${String(month + 1).padStart(2, '0')}`;
+      return this.getRange(`${prefix}-01`, `${prefix}-31`);
+    },
 
-    init() {
-      this.banner = document.getElementById('network-banner');
+    // Newest check-ins first, about `limit` of them: a page always ends on a
+    // whole day so it can be resumed with `before` = the returned `nextBefore`
+    // (exclusive). `nextBefore` is null once the start of the journal is reached.
+    async getLatest(limit, before = null) {
+      const range = before ? IDBKeyRange.upperBound(before, true) : null;
+      let lastDate = null;
+      let more = false;
+      const entries = await this.scanByDate(range, 'prev', (row, rows) => {
+        if (rows.length >= limit && row.date !== lastDate) {
+          more = true;
+          return false;
+        }
+        lastDate = row.date;
+        return true;
+      });
+      entries.sort((a, b) => compareEntries(b, a));
+      return { entries, nextBefore: more ? lastDate : null };
+    },
 
-      window.addEventListener('online', () => this.onOnline());
-      window.addEventListener('offline', () => this.onOffline());
+    // Raw rows: encrypted notes travel to the server as they are stored
+    getUnsynced() {
+      return this.getAllRaw().then(entries =>
+        entries.filter(e => e.synced === false)
+      );
+    },
 
-      // Show banner on load if already offline
-      if (!navigator.onLine) {
-        this.onOffline();
-      }
+    // Soft delete: the row moves to the trash store (as stored, stamped with
+    // `trashedAt`) and a tombstone takes its place so the deletion reaches
+    // the sync server. Sync.push() erases the tombstone for good once the
+    // server has acknowledged it. Resolves with the uid, for restore().
+    delete(id) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(['entries', 'trash'], 'readwrite');
+        const store = tx.objectStore('entries');
+        const req = store.get(id);
+        let uid, date;
+        req.onsuccess = () => {
+          const row = req.result;
+          if (!row || row.deleted) return;
+          uid = row.uid;
+          tx.objectStore('trash').put({ ...row, trashedAt: Date.now() });
+          store.put({ id, uid, date: row.date, deleted: true, timestamp: Date.now(), synced: false });
+          date = row.date;
+        };
+        tx.oncomplete = () => {
+          if (date) Changes.notify([date]);
+          resolve(uid);
+        };
+        tx.onerror = (e) => reject(e.target.error);
+      });
     },
 
-    onOffline() {
-      this.showBanner('offline', 'Hors ligne — les données sont sauvegardées localement', null);
+    // Bring a trashed check-in back as a new write, so it wins over the
+    // tombstone everywhere. Resolves false when it is no longer in the trash,
+    // or when another device has written the entry since: that newer version
+    // is kept and the trashed copy dropped.
+    restore(uid) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(['entries', 'trash'], 'readwrite');
+        const store = tx.objectStore('entries');
+        const trash = tx.objectStore('trash');
+        let restored = null; // date of the restored check-in
+        const req = trash.get(uid);
+        req.onsuccess = () => {
+          if (!req.result) return;
+          const { trashedAt, ...row } = req.result;
+          trash.delete(uid);
+          const current = store.index('uid').get(uid);
+          current.onsuccess = () => {
+            if (current.result && !current.result.deleted) return;
+            store.put({ ...row, id: current.result ? current.result.id : row.id, timestamp: Date.now(), synced: false });
+            restored = row.date;
+          };
+        };
+        tx.oncomplete = () => {
+          Changes.notify(restored ? [restored] : []);
+          resolve(!!restored);
+        };
+        tx.onerror = (e) => reject(e.target.error);
+      });
     },
 
-    async onOnline() {
-      const unsynced = await this.getUnsyncedEntries();
-      if (unsynced.length > 0) {
-        this.showBanner('syncing', 'Synchronisation en cours…', unsynced.length);
-        await this.syncEntries(unsynced);
-        this.showBanner('online', `Connexion rétablie — ${unsynced.length} entrée${unsynced.length > 1 ? 's' : ''} synchronisée${unsynced.length > 1 ? 's' : ''}`, null);
-      } else {
-        this.showBanner('online', 'Connexion rétablie', null);
-      }
-      this.autoHide(4000);
+    // Trashed check-ins, most recently deleted first
+    async getTrash() {
+      const rows = await this.getAllRaw('trash');
+      const entries = await Promise.all(rows.map(row => this.read(row)));
+      return entries.sort((a, b) => b.trashedAt - a.trashedAt);
     },
 
-    showBanner(type, text, count) {
-      if (this.hideTimeout) {
-        clearTimeout(this.hideTimeout);
-        this.hideTimeout = null;
-      }
+    // Erase trashed check-ins for good: one uid, or every one deleted
+    // before `before` (a timestamp)
+    purgeTrash({ uid, before } = {}) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction('trash', 'readwrite');
+        const store = tx.objectStore('trash');
+        let changed = true;
+        if (uid) {
+          store.delete(uid);
+        } else if (before === undefined) {
+          store.clear();
+        } else {
+          // Expiry runs on every render of the trash: only a purge that
+          // removed something is announced, or two open tabs would keep
+          // re-rendering each other
+          changed = false;
+          const req = store.index('trashedAt').openCursor(IDBKeyRange.upperBound(before, true));
+          req.onsuccess = () => {
+            const cursor = req.result;
+            if (!cursor) return;
+            changed = true;
+            cursor.delete();
+            cursor.continue();
+          };
+        }
+        tx.oncomplete = () => {
+          if (changed) Changes.notify([]);
+          resolve();
+        };
+        tx.onerror = (e) => reject(e.target.error);
+      });
+    },
 
-      const icons = { offline: '⚡', online: '✓', syncing: '↻' };
-      this.banner.hidden = false;
-      this.banner.className = 'network-banner ' + type;
-      this.banner.innerHTML =
-        `<span class="network-banner-icon" aria-hidden="true">${icons[type]}</span>` +
-        `<span class="network-banner-text">${text}</span>` +
-        (count != null ? `<span class="network-banner-count">${count}</span>` : '');
+    expireTrash() {
+      return this.purgeTrash({ before: Date.now() - this.TRASH_DAYS * 86400000 });
+    },
 
-      // Force reflow then add visible class for animation
-      this.banner.offsetHeight;
-      this.banner.classList.add('visible');
+    // Photos of one check-in, in the order they were added
+    getPhotos(uid) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction('photos', 'readonly');
+        const req = tx.objectStore('photos').index('entryUid').getAll(uid);
+        req.onsuccess = () => resolve(req.result.sort((a, b) => a.id - b.id));
+        req.onerror = (e) => reject(e.target.error);
+      });
     },
 
-    autoHide(delay) {
-      this.hideTimeout = setTimeout(() => {
-        this.banner.classList.remove('visible');
-        // Wait for CSS transition to end before hiding
-        setTimeout(() => { this.banner.hidden = true; }, 300);
-      }, delay);
+    getAllPhotos() {
+      return this.getAllRaw('photos');
+    },
+
+    // Add (or put back) photo records and remove others, atomically.
+    // Resolves with the ids of the written records.
+    putPhotos(records, removeIds = []) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction('photos', 'readwrite');
+        const store = tx.objectStore('photos');
+        const ids = [];
+        removeIds.forEach(id => store.delete(id));
+        records.forEach((record, i) => {
+          store.put(record).onsuccess = (e) => { ids[i] = e.target.result; };
+        });
+        tx.oncomplete = () => {
+          // Photos only know their check-in's uid: any day may show them
+          Changes.notify(null);
+          resolve(ids);
+        };
+        tx.onerror = (e) => reject(e.target.error);
+        tx.onabort = (e) => reject(e.target.error);
+      });
     },
 
-    async getUnsyncedEntries() {
-      const all = await DB.getAll();
-      return all.filter(e => e.synced === false);
+    // Photos stay while their check-in is live or in the trash. Erase the
+    // others (trash purged, deletion pulled from another device).
+    prunePhotos() {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(['entries', 'trash', 'photos'], 'readwrite');
+        const keep = new Set();
+        tx.objectStore('entries').getAll().onsuccess = (e) => {
+          e.target.result.forEach(row => { if (!row.deleted) keep.add(row.uid); });
+          tx.objectStore('trash').getAllKeys().onsuccess = (e2) => {
+            e2.target.result.forEach(uid => keep.add(uid));
+            tx.objectStore('photos').openCursor().onsuccess = (e3) => {
+              const cursor = e3.target.result;
+              if (!cursor) return;
+              if (!keep.has(cursor.value.entryUid)) cursor.delete();
+              cursor.continue();
+            };
+          };
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = (e) => reject(e.target.error);
+      });
     },
 
-    async syncEntries(entries) {
-      for (const entry of entries) {
-        // TODO: Replace with real API call, e.g.:
-        // await fetch('/api/entries', { method: 'POST', body: JSON.stringify(entry) });
-        await new Promise(r => setTimeout(r, 200)); // simulate network request
-        entry.synced = true;
-        await DB.put(entry);
-      }
+    purge(id) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction('entries', 'readwrite');
+        const store = tx.objectStore('entries');
+        const req = store.delete(id);
+        req.onsuccess = () => resolve();
+        req.onerror = (e) => reject(e.target.error);
+      });
+    },
+
+    // Read-modify-write of the row with a given sync `uid`, in a single
+    // transaction. `fn` receives the stored row (tombstones included) and
+    // returns the new row, null to erase it, or undefined to leave it
+    // untouched. A returned row without `id` is inserted.
+    update(uid, fn) {
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction('entries', 'readwrite');
+        const store = tx.objectStore('entries');
+        const req = store.index('uid').get(uid);
+        let result;
+        req.onsuccess = () => {
+          const current = req.result;
+          result = fn(current);
+          if (result === null) {
+            if (current) store.delete(current.id);
+          } else if (result !== undefined) {
+            if (current) result = { ...result, id: current.id };
+            store.put(result);
+          }
+        };
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = (e) => reject(e.target.error);
+      });
     }
   };
 
-  // ── Router ──
+  // ── Mood Scale Module ──
+  //
+  // Number of points, emoji and label of each point. The definition is kept
+  // in the `meta` store so the service worker can use it too. Every entry
+  // records the number of points it was logged with in `scale` (missing:
+  // five, from before scales were configurable) and DB converts moods to
+  // the current scale when reading, so the rest of the app only deals with
+  // moods from 1 to Scale.points.
+
+  const Scale = {
+    VERSION: 1,
+    PRESETS: {
+      3: ['\u{1F61E}', '\u{1F610}', '\u{1F60A}'],
+      5: ['\u{1F622}', '\u{1F615}', '\u{1F610}', '\u{1F642}', '\u{1F604}'],
+      10: ['\u{1F62D}', '\u{1F622}', '\u{1F61E}', '\u{1F615}', '\u{1F610}', '\u{1F642}', '\u{1F60A}', '\u{1F604}', '\u{1F601}', '\u{1F929}']
+    },
+    DEFAULT_POINTS: 5,
 
-  const Router = {
-    currentTab: 'add',
+    points: 5,
+    emojis: [],
+    labels: [],
 
-    init() {
-      document.querySelectorAll('.tab').forEach(btn => {
-        btn.addEventListener('click', () => this.navigate(btn.dataset.tab));
-      });
+    async load() {
+      this.use(this.migrate(await DB.getMeta('moodScale')));
     },
 
-    navigate(tab, data) {
-      this.currentTab = tab;
-      document.querySelectorAll('.tab').forEach(btn => {
-        const isActive = btn.dataset.tab === tab;
-        btn.classList.toggle('active', isActive);
-        btn.setAttribute('aria-selected', String(isActive));
-      });
-      UI.render(tab, data);
+    // Preset emojis, with labels in the current language
+    preset(points) {
+      return { emojis: [...this.PRESETS[points]], labels: I18n.list(`scale.${points}`) };
+    },
+
+    // Stored definitions are { version, points, emojis, labels }. Anything
+    // unknown or malformed falls back to the default five-point scale.
+    // Emojis and labels go into markup as they are, hence no <>"&.
+    migrate(def) {
+      const preset = { version: this.VERSION, points: this.DEFAULT_POINTS, ...this.preset(this.DEFAULT_POINTS) };
+      if (!def || def.version !== this.VERSION || !this.PRESETS[def.points]) return preset;
+      const valid = (list) => Array.isArray(list) && list.length === def.points &&
+        list.every(v => typeof v === 'string' && /^[^<>"&]*\S[^<>"&]*$/.test(v));
+      return valid(def.emojis) && valid(def.labels) ? def : preset;
+    },
+
+    use({ points, emojis, labels }) {
+      this.points = points;
+      this.emojis = emojis;
+      this.labels = labels;
+    },
+
+    async save(points, emojis, labels) {
+      const def = { version: this.VERSION, points, emojis: emojis.map(e => e.trim()), labels: labels.map(l => l.trim()) };
+      if (this.migrate(def) !== def) throw new Error('Invalid mood scale');
+      await DB.setMeta('moodScale', def);
+      this.use(def);
+    },
+
+    // A mood (or an average) on the current scale → its emoji / label
+    emoji(mood) {
+      return this.emojis[Math.round(mood) - 1];
+    },
+
+    label(mood) {
+      return this.labels[Math.round(mood) - 1];
+    },
+
+    // Same position on a scale of `to` points, rounded to the nearest point
+    convert(mood, from, to = this.points) {
+      if (from === to) return mood;
+      return Math.round(1 + ((mood - 1) * (to - 1)) / (from - 1));
+    },
+
+    // 1–5 colour level of a mood, for the year view
+    level(mood) {
+      return this.convert(Math.round(mood), this.points, 5);
+    },
+
+    normalize(row) {
+      if (row.deleted || (row.scale || 5) === this.points) return row;
+      return { ...row, mood: this.convert(row.mood, row.scale || 5), scale: this.points };
     }
   };
 
-  // ── Calendar Module ──
+  // ── Vault Module (note encryption) ──
+  //
+  // Optional passphrase protection. A key is derived with PBKDF2 and notes
+  // are stored as `noteCipher: { kid, iv, data }` (AES-GCM) instead of `note`.
+  // `kid` identifies the key that sealed a note so a passphrase change that
+  // was interrupted can be detected and finished on the next unlock.
+  // The key only lives in memory; the passphrase is never stored.
+
+  const Vault = {
+    STORAGE_KEY: 'vault',
+    PENDING_KEY: 'vaultNext',
+    ITERATIONS: 310000,
+    CHECK_TEXT: 'mood-journal',
+    RESEAL_ATTEMPTS: 3,
+    key: null,
+
+    getConfig(storageKey = this.STORAGE_KEY) {
+      try {
+        return JSON.parse(localStorage.getItem(storageKey));
+      } catch (_) {
+        return null;
+      }
+    },
 
-  const Calendar = {
-    // Always use the 1st of the month to avoid overflow when navigating
-    currentDate: new Date(new Date().getFullYear(), new Date().getMonth(), 1),
+    isEnabled() {
+      return !!this.getConfig();
+    },
 
-    render(entries) {
-      const year = this.currentDate.getFullYear();
-      const month = this.currentDate.getMonth();
+    isLocked() {
+      return this.isEnabled() && !this.key;
+    },
+
+    lock() {
+      this.key = null;
+    },
 
-      const entryMap = {};
-      entries.forEach(e => { entryMap[e.date] = e; });
+    toBase64(bytes) {
+      let bin = '';
+      new Uint8Array(bytes).forEach(b => { bin += String.fromCharCode(b); });
+      return btoa(bin);
+    },
 
-      const firstDay = new Date(year, month, 1);
-      const lastDay = new Date(year, month + 1, 0);
-      const startDay = (firstDay.getDay() + 6) % 7; // Monday = 0
+    fromBase64(str) {
+      return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+    },
 
-      let html = `
-        <div class="calendar">
-          <div class="calendar-header">
-            <button class="cal-nav" id="prev-month" aria-label="Mois précédent">\u25C0</button>
-            <h2>${MONTH_NAMES[month]} ${year}</h2>
-            <button class="cal-nav" id="next-month" aria-label="Mois suivant">\u25B6</button>
-          </div>
-          <div class="calendar-grid" role="grid" aria-label="Calendrier mensuel">
-            ${DAY_NAMES.map(d => `<div class="cal-day-name" role="columnheader">${d}</div>`).join('')}
-      `;
+    async deriveKey(passphrase, salt, iterations) {
+      const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+      );
+      return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+    },
 
-      for (let i = 0; i < startDay; i++) {
-        html += '<div class="cal-cell empty" role="gridcell"></div>';
+    async encrypt(text, key) {
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+      return { iv: this.toBase64(iv), data: this.toBase64(data) };
+    },
+
+    // Rejects on a wrong key (AES-GCM authentication failure)
+    async decrypt({ iv, data }, key) {
+      const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: this.fromBase64(iv) }, key, this.fromBase64(data)
+      );
+      return new TextDecoder().decode(plain);
+    },
+
+    // Build a config for a new passphrase: { kid, salt, iterations, check }
+    async createConfig(passphrase) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const key = await this.deriveKey(passphrase, salt, this.ITERATIONS);
+      const config = {
+        kid: this.toBase64(crypto.getRandomValues(new Uint8Array(6))),
+        salt: this.toBase64(salt),
+        iterations: this.ITERATIONS,
+        check: await this.encrypt(this.CHECK_TEXT, key)
+      };
+      return { config, key };
+    },
+
+    // Returns the key if the passphrase matches the config, null otherwise
+    async keyFor(config, passphrase) {
+      const key = await this.deriveKey(passphrase, this.fromBase64(config.salt), config.iterations);
+      try {
+        return (await this.decrypt(config.check, key)) === this.CHECK_TEXT ? key : null;
+      } catch (_) {
+        return null;
       }
+    },
 
-      const todayStr = formatDate(new Date());
+    async unlock(passphrase) {
+      await this.recoverPendingChange();
+      const key = await this.keyFor(this.getConfig(), passphrase);
+      if (!key) return false;
+      this.key = key;
+      await this.sealPlaintext();
+      return true;
+    },
 
-      for (let d = 1; d <= lastDay.getDate(); d++) {
-        const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
-        const entry = entryMap[dateStr];
-        const isToday = dateStr === todayStr;
-        const label = `${d} ${MONTH_NAMES[month]}${entry ? ', humeur : ' + MOOD_LABELS[entry.mood - 1] : ''}`;
-        html += `
-          <div class="cal-cell${entry ? ' has-entry' : ''}${isToday ? ' today' : ''}"
-               data-date="${dateStr}" role="gridcell" tabindex="0" aria-label="${label}">
-            <span class="cal-date">${d}</span>
-            ${entry ? `<span class="cal-mood">${MOODS[entry.mood - 1]}</span>` : ''}
-          </div>
-        `;
+    // Encrypt an entry's note for storage (no-op while disabled or locked)
+    async seal(entry) {
+      if (!this.key || !entry.note) return entry;
+      const { note, ...rest } = entry;
+      return { ...rest, noteCipher: { kid: this.getConfig().kid, ...(await this.encrypt(note, this.key)) } };
+    },
+
+    // Decrypt a stored row back to `note`. Notes sealed with a key we don't
+    // hold (another device, or while locked) come back flagged instead, with
+    // their `noteCipher` for saves and backups to keep.
+    async open(row) {
+      if (!row.noteCipher) return row;
+      const { noteCipher, ...rest } = row;
+      const config = this.getConfig();
+      if (this.key && config && noteCipher.kid === config.kid) {
+        try {
+          return { ...rest, note: await this.decrypt(noteCipher, this.key) };
+        } catch (_) { /* fall through */ }
       }
+      return { ...rest, note: '', noteUnreadable: true, noteCipher };
+    },
 
-      html += '</div></div>';
-      return html;
+    // Re-seal every note: decrypt with `fromKey`/`fromKid` (plaintext rows
+    // pass through), encrypt with `toKey`/`toKid` (or leave plaintext when
+    // toKey is null). Notes sealed with another key (another device's,
+    // copied in by sync) are left as they are. Nothing is written unless
+    // every note decrypts; entries, trash and drafts are then written in one
+    // transaction, which starts over if a row was changed meanwhile (the
+    // crypto can't run inside it). Entries go out as new versions so the
+    // server and other devices get them.
+    async reseal(fromKey, fromKid, toKey, toKid) {
+      const resealRow = async (row) => {
+        let note = row.note;
+        if (row.noteCipher) {
+          if (!fromKey || row.noteCipher.kid !== fromKid) return null;
+          note = await this.decrypt(row.noteCipher, fromKey);
+        }
+        if (!note) return null;
+        const { noteCipher, note: _plain, ...rest } = row;
+        return toKey
+          ? { ...rest, noteCipher: { kid: toKid, ...(await this.encrypt(note, toKey)) } }
+          : { ...rest, note };
+      };
+
+      for (let attempt = 0; attempt < this.RESEAL_ATTEMPTS; attempt++) {
+        const writes = [];
+        for (const row of await DB.getAllRaw()) {
+          const resealed = await resealRow(row);
+          if (resealed) writes.push(['entries', row, { ...resealed, timestamp: Date.now(), synced: false }]);
+        }
+        for (const row of await DB.getAllRaw('trash')) {
+          const resealed = await resealRow(row);
+          if (resealed) writes.push(['trash', row, resealed]);
+        }
+        await Drafts.queue;
+        const drafts = await DB.getMeta(Drafts.KEY);
+        if (drafts) {
+          const resealed = { ...drafts };
+          for (const [date, draft] of Object.entries(drafts)) {
+            resealed[date] = (await resealRow(draft)) || draft;
+          }
+          writes.push(['meta', { key: Drafts.KEY, value: drafts }, { key: Drafts.KEY, value: resealed }]);
+        }
+        if (await DB.swapRaw(writes)) {
+          if (writes.some(([store]) => store === 'entries')) Sync.schedule();
+          return;
+        }
+      }
+      throw new Error('Journal changed during every re-encryption attempt');
+    },
+
+    // Catch notes that arrived in plaintext while locked (sync, service worker)
+    async sealPlaintext() {
+      const rows = (await DB.getAllRaw()).filter(r => r.note);
+      const sealed = await Promise.all(rows.map(r => this.seal(r)));
+      if (sealed.length) await DB.putManyRaw(sealed);
+    },
+
+    // The lock only takes effect once the notes are sealed
+    async enable(passphrase) {
+      const { config, key } = await this.createConfig(passphrase);
+      await this.reseal(null, null, key, config.kid);
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(config));
+      this.key = key;
+    },
+
+    async disable(passphrase) {
+      const config = this.getConfig();
+      const key = await this.keyFor(config, passphrase);
+      if (!key) return false;
+      await this.reseal(key, config.kid, null, null);
+      localStorage.removeItem(this.STORAGE_KEY);
+      this.key = null;
+      return true;
+    },
+
+    // The new config is parked under PENDING_KEY until every note has been
+    // re-encrypted in a single transaction, then swapped in.
+    async changePassphrase(oldPassphrase, newPassphrase) {
+      const current = this.getConfig();
+      const oldKey = await this.keyFor(current, oldPassphrase);
+      if (!oldKey) return false;
+
+      const { config, key } = await this.createConfig(newPassphrase);
+      localStorage.setItem(this.PENDING_KEY, JSON.stringify(config));
+      try {
+        await this.reseal(oldKey, current.kid, key, config.kid);
+      } catch (err) {
+        localStorage.removeItem(this.PENDING_KEY);
+        throw err;
+      }
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(config));
+      localStorage.removeItem(this.PENDING_KEY);
+      this.key = key;
+      return true;
+    },
+
+    // If a passphrase change was interrupted, the stored notes tell us which
+    // side of the (atomic) re-encryption we are on. Only a note sealed on
+    // this device, with the old or the new key, can tell.
+    async recoverPendingChange() {
+      const pending = this.getConfig(this.PENDING_KEY);
+      if (!pending) return;
+      const current = this.getConfig();
+      const kids = [pending.kid, current && current.kid];
+      const sample = (await DB.getAllRaw()).find(r => r.noteCipher && kids.includes(r.noteCipher.kid));
+      if (sample && sample.noteCipher.kid === pending.kid) {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(pending));
+      }
+      localStorage.removeItem(this.PENDING_KEY);
+    },
+
+    // Self-contained encrypted payload for backup files
+    async encryptWithPassphrase(text, passphrase) {
+      const salt = crypto.getRandomValues(new Uint8Array(16));
+      const key = await this.deriveKey(passphrase, salt, this.ITERATIONS);
+      return {
+        kdf: 'PBKDF2-SHA256',
+        iterations: this.ITERATIONS,
+        salt: this.toBase64(salt),
+        ...(await this.encrypt(text, key))
+      };
+    },
+
+    // Rejects on a wrong passphrase
+    async decryptWithPassphrase(payload, passphrase) {
+      const key = await this.deriveKey(passphrase, this.fromBase64(payload.salt), payload.iterations);
+      return this.decrypt(payload, key);
     }
   };
 
-  // ── Stats Module ──
+  // ── Sync Module ──
+  //
+  // Two-way sync against the server in server/sync-server.js:
+  //   POST /api/entries { entries }   → { cursor, conflicts, invalid }
+  //   GET  /api/entries?since=cursor  → { cursor, entries }
+  // Entries are identified by `uid`. Conflicting writes to the same uid are
+  // resolved last-write-wins on `timestamp`; deletes travel as
+  // `{ uid, deleted: true }` tombstones. Entries the server refused
+  // (`invalid` uids) stay unsynced.
+
+  const Sync = {
+    endpoint: '/api/entries',
+    running: null,
+    changed: null, // dates modified by the sync in progress
+
+    getCursor() {
+      return Number(localStorage.getItem('syncCursor')) || 0;
+    },
 
-  const Stats = {
-    calculate(entries) {
-      if (entries.length === 0) {
-        return { average: 0, count: 0, distribution: [0, 0, 0, 0, 0], trend: 'stable' };
+    setCursor(cursor) {
+      localStorage.setItem('syncCursor', String(cursor));
+    },
+
+    // Coalesce concurrent calls (online event + save) into one round-trip.
+    // The outcome is shown in this tab and announced to the others.
+    run() {
+      if (!this.running) {
+        this.running = this.syncNow()
+          .then(result => {
+            Changes.synced(result);
+            return result;
+          }, err => {
+            Changes.syncFailed();
+            throw err;
+          })
+          .finally(() => { this.running = null; });
       }
+      return this.running;
+    },
 
-      const sum = entries.reduce((acc, e) => acc + e.mood, 0);
-      const average = sum / entries.length;
+    // Fire-and-forget sync after a local write. When offline, or when the
+    // server is unreachable, the write is left to the service worker outbox.
+    schedule() {
+      if (!navigator.onLine) {
+        this.registerBackgroundSync();
+        return;
+      }
+      this.run().catch(err => {
+        console.warn('Sync failed:', err);
+        this.registerBackgroundSync();
+      });
+    },
 
-      const distribution = [0, 0, 0, 0, 0];
-      entries.forEach(e => distribution[e.mood - 1]++);
+    // Ask sw.js to flush unsynced entries once connectivity returns, even if
+    // the tab has been closed by then. Without Background Sync support the
+    // `online` listener in NetworkStatus remains the only flush.
+    async registerBackgroundSync() {
+      if (!('serviceWorker' in navigator) || !('SyncManager' in window)) return false;
+      try {
+        const reg = await navigator.serviceWorker.ready;
+        await reg.sync.register(SYNC_TAG);
+        return true;
+      } catch (err) {
+        console.warn('Background sync registration failed:', err);
+        return false;
+      }
+    },
+
+    async syncNow() {
+      // Pulled plaintext notes can't be sealed without the key: wait for unlock
+      if (Vault.isLocked()) return { pushed: 0, pulled: 0, dates: [] };
+      this.changed = new Set();
+      const pushed = await this.push();
+      const pulled = await this.pull();
+      return { pushed, pulled, dates: [...this.changed] };
+    },
+
+    // Encrypted notes are sent as stored; the server treats them as opaque
+    toWire(entry) {
+      if (entry.deleted) return { uid: entry.uid, date: entry.date, deleted: true, timestamp: entry.timestamp };
+      const wire = {
+        uid: entry.uid,
+        date: entry.date,
+        time: entry.time,
+        mood: entry.mood,
+        scale: entry.scale || 5,
+        note: entry.note || '',
+        tags: entry.tags || [],
+        timestamp: entry.timestamp
+      };
+      if (entry.noteCipher) wire.noteCipher = entry.noteCipher;
+      return wire;
+    },
+
+    async push() {
+      const pending = await DB.getUnsynced();
+      if (pending.length === 0) return 0;
+
+      const res = await fetch(this.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ entries: pending.map(e => this.toWire(e)) })
+      });
+      if (!res.ok) throw new Error(`Sync push failed: HTTP ${res.status}`);
+      const { conflicts = [], invalid = [] } = await res.json();
+      if (invalid.length > 0) console.warn('Entries refused by the server:', invalid);
+
+      const rejected = new Set([...conflicts.map(c => c.uid), ...invalid]);
+      for (const entry of pending) {
+        if (rejected.has(entry.uid)) continue;
+        // Only acknowledge the exact version we sent: the user may have
+        // edited the entry again while the request was in flight.
+        await DB.update(entry.uid, current => {
+          if (!current || current.timestamp !== entry.timestamp) return undefined;
+          return current.deleted ? null : { ...current, synced: true };
+        });
+      }
+      for (const remote of conflicts) {
+        await this.applyRemote(remote);
+      }
+      return pending.length - rejected.size;
+    },
+
+    async pull() {
+      const res = await fetch(`${this.endpoint}?since=${this.getCursor()}`);
+      if (!res.ok) throw new Error(`Sync pull failed: HTTP ${res.status}`);
+      const { cursor, entries = [] } = await res.json();
+
+      let changed = 0;
+      for (const remote of entries) {
+        if (await this.applyRemote(remote)) changed++;
+      }
+      this.setCursor(cursor);
+      return changed;
+    },
+
+    // Returns true when the local store was modified
+    async applyRemote(remote) {
+      const row = remote.deleted ? null : await Vault.seal({
+        uid: remote.uid,
+        date: remote.date,
+        time: remote.time,
+        mood: remote.mood,
+        scale: remote.scale || 5,
+        note: remote.note || '',
+        tags: remote.tags || [],
+        timestamp: remote.timestamp,
+        synced: true
+      });
+      if (row && remote.noteCipher) row.noteCipher = remote.noteCipher;
+
+      const result = await DB.update(remote.uid, local => {
+        if (local && local.synced === false && local.timestamp > remote.timestamp) {
+          return undefined; // local edit is newer, it will win on next push
+        }
+        if (local && local.synced !== false && local.timestamp === remote.timestamp) {
+          return undefined; // already up to date (echo of our own push)
+        }
+        if (remote.deleted) return local ? null : undefined;
+        return row;
+      });
+      if (result === undefined) return false;
+      this.changed.add(remote.date);
+      return true;
+    }
+  };
+
+  // ── Network Status Module ──
+
+  const NetworkStatus = {
+    banner: null,
+    hideTimeout: null,
+    pendingCount: 0,
 
-      let trend = 'stable';
-      if (entries.length >= 4) {
-        const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
-        const mid = Math.floor(sorted.length / 2);
-        if (mid > 0) {
-          const avgFirst = sorted.slice(0, mid).reduce((s, e) => s + e.mood, 0) / mid;
-          const avgSecond = sorted.slice(mid).reduce((s, e) => s + e.mood, 0) / (sorted.length - mid);
-          const diff = avgSecond - avgFirst;
-          if (diff > 0.3) trend = 'up';
-          else if (diff < -0.3) trend = 'down';
+    init() {
+      this.banner = document.getElementById('network-banner');
+
+      window.addEventListener('online', () => this.onOnline());
+      window.addEventListener('offline', () => this.onOffline());
+
+      // Show banner on load if already offline
+      if (!navigator.onLine) {
+        this.onOffline();
+      }
+    },
+
+    onOffline() {
+      this.showBanner('offline', t('network.offline'), null);
+    },
+
+    async onOnline() {
+      const unsynced = await this.getUnsyncedEntries();
+      if (unsynced.length > 0) {
+        this.showBanner('syncing', t('network.syncing'), unsynced.length);
+      }
+      try {
+        await Sync.run();
+        if (unsynced.length > 0) {
+          this.showBanner('online', t('network.synced', { count: unsynced.length }), null);
+        } else {
+          this.showBanner('online', t('network.online'), null);
         }
+      } catch (err) {
+        console.warn('Sync failed:', err);
+        this.showBanner('online', t('network.syncFailed'), null);
+      }
+      this.autoHide(4000);
+    },
+
+    showBanner(type, text, count) {
+      if (this.hideTimeout) {
+        clearTimeout(this.hideTimeout);
+        this.hideTimeout = null;
       }
 
-      return { average, count: entries.length, distribution, trend };
+      const icons = { offline: '⚡', online: '✓', syncing: '↻' };
+      this.banner.hidden = false;
+      this.banner.className = 'network-banner ' + type;
+      this.banner.innerHTML =
+        `<span class="network-banner-icon" aria-hidden="true">${icons[type]}</span>` +
+        `<span class="network-banner-text">${text}</span>` +
+        (count != null ? `<span class="network-banner-count">${count}</span>` : '');
+
+      // Force reflow then add visible class for animation
+      this.banner.offsetHeight;
+      this.banner.classList.add('visible');
+    },
+
+    autoHide(delay) {
+      this.hideTimeout = setTimeout(() => {
+        this.banner.classList.remove('visible');
+        // Wait for CSS transition to end before hiding
+        setTimeout(() => { this.banner.hidden = true; }, 300);
+      }, delay);
+    },
+
+    getUnsyncedEntries() {
+      return DB.getUnsynced();
+    },
+
+    // Another tab or the service worker finished syncing: a "syncing"
+    // banner shown here ends with the same outcome
+    onRemoteSync(ok, pushed = 0) {
+      if (this.banner.hidden || !this.banner.classList.contains('syncing')) return;
+      if (!ok) {
+        this.showBanner('online', t('network.syncFailed'), null);
+      } else if (pushed > 0) {
+        this.showBanner('online', t('network.synced', { count: pushed }), null);
+      } else {
+        this.showBanner('online', t('network.online'), null);
+      }
+      this.autoHide(4000);
     }
   };
 
-  // ── Notifications Module ──
+  // ── Changes ──
+  //
+  // Keeps the open tabs of the app in step. Writes to the journal and
+  // finished syncs are announced on a BroadcastChannel, which sw.js also
+  // posts to when it logs a mood or flushes the outbox:
+  //   { type: 'entries-changed', dates }  dates: YYYY-MM-DD list, null for any
+  //   { type: 'synced', pushed, dates }   { type: 'sync-failed' }
+  // A channel doesn't deliver to its sender: the tab that wrote has updated
+  // its own view already, except for what a sync pulled.
+
+  const Changes = {
+    CHANNEL: 'mood-journal', // must match sw.js
+    DELAY: 150,
+    channel: null,
+    pending: new Set(), // dates waiting to be shown
+    all: false, // a change of unknown dates is waiting
+    timer: null,
 
-  const Notifications = {
-    intervalId: null,
+    init() {
+      if (!('BroadcastChannel' in window)) return;
+      this.channel = new BroadcastChannel(this.CHANNEL);
+      this.channel.addEventListener('message', (e) => this.receive(e.data || {}));
+    },
 
-    async requestPermission() {
-      if (!('Notification' in window)) return false;
-      if (Notification.permission === 'granted') return true;
-      const result = await Notification.requestPermission();
-      return result === 'granted';
+    post(msg) {
+      if (this.channel) this.channel.postMessage(msg);
+    },
+
+    notify(dates) {
+      this.post({ type: 'entries-changed', dates: dates && [...new Set(dates)] });
+    },
+
+    synced({ pushed, dates }) {
+      this.post({ type: 'synced', pushed, dates });
+      if (dates.length) this.queue(dates);
+    },
+
+    syncFailed() {
+      this.post({ type: 'sync-failed' });
     },
 
+    receive(msg) {
+      if (msg.type === 'entries-changed') {
+        this.queue(msg.dates);
+      } else if (msg.type === 'synced') {
+        if (msg.dates && msg.dates.length) this.queue(msg.dates);
+        NetworkStatus.onRemoteSync(true, msg.pushed);
+      } else if (msg.type === 'sync-failed') {
+        NetworkStatus.onRemoteSync(false);
+      }
+    },
+
+    // Writes come in bursts (a sync, a restored backup): re-render once
+    queue(dates) {
+      if (dates) dates.forEach(date => this.pending.add(date));
+      else this.all = true;
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => {
+        const changed = this.all ? null : [...this.pending];
+        this.pending.clear();
+        this.all = false;
+        UI.applyChanges(changed);
+      }, this.DELAY);
+    }
+  };
+
+  // ── Snackbar ──
+  //
+  // Short message at the bottom of the screen with an optional action
+  // (Undo). A new message replaces the current one, whose action is then
+  // gone. The timer stops while the snackbar has keyboard focus.
+
+  const Snackbar = {
+    DURATION: 6000,
+    el: null,
+    timer: null,
+    action: null,
+
     init() {
-      const time = localStorage.getItem('reminderTime');
-      if (time) this.scheduleCheck(time);
-      this.showBannerIfNeeded();
+      this.el = document.getElementById('snackbar');
+      this.el.addEventListener('click', (e) => {
+        if (!e.target.closest('.snackbar-action')) return;
+        const action = this.action;
+        this.hide();
+        if (action) action();
+      });
+      this.el.addEventListener('focusin', () => clearTimeout(this.timer));
+      this.el.addEventListener('focusout', () => this.startTimer());
     },
 
-    showBannerIfNeeded() {
-      if (!('Notification' in window)) return;
-      if (Notification.permission !== 'default') return;
+    show(text, action = null, actionLabel = t('common.undo')) {
+      this.action = action;
+      this.el.innerHTML =
+        `<span class="snackbar-text">${escapeHtml(text)}</span>` +
+        (action ? `<button class="snackbar-action">${actionLabel}</button>` : '');
+      this.el.hidden = false;
+      // Force reflow then add visible class for animation
+      this.el.offsetHeight;
+      this.el.classList.add('visible');
+      this.startTimer();
+    },
 
-      const dismissed = localStorage.getItem('notifBannerDismissed');
-      if (dismissed && dismissed === formatDate(new Date())) return;
+    startTimer() {
+      clearTimeout(this.timer);
+      this.timer = setTimeout(() => this.hide(), this.DURATION);
+    },
 
-      const banner = document.getElementById('notif-banner');
-      if (!banner) return;
-      banner.hidden = false;
+    hide() {
+      clearTimeout(this.timer);
+      this.action = null;
+      this.el.classList.remove('visible');
+      // Wait for CSS transition to end, unless a new message came in meanwhile
+      setTimeout(() => {
+        if (!this.el.classList.contains('visible')) this.el.hidden = true;
+      }, 300);
+    }
+  };
 
-      document.getElementById('notif-accept').addEventListener('click', async () => {
-        const granted = await this.requestPermission();
-        banner.hidden = true;
-        if (granted) {
-          this.sendTestNotification();
-          if (!localStorage.getItem('reminderTime')) {
-            localStorage.setItem('reminderTime', '20:00');
-            this.scheduleCheck('20:00');
-          }
+  // ── Router ──
+
+  // Routes live in the hash so any URL of the app (shortcuts, notification
+  // clicks, bookmarks) opens the exact view:
+  //   #/add[/2026-10-19[?id=42]]   #/calendar/2026-10 or /2026 (year view)
+  //   #/stats/2026-W43 | 2026-10 | 2026-Q3 | 2026 | 2026-10-01..2026-10-19
+  //   #/history?q=…&mood=1,2&from=…&to=…   #/trash   #/settings
+  // plus `?title=&text=&url=` for text shared to the app (parseShare).
+  // The view state itself stays in Calendar, Stats and HistoryList; the
+  // hash is derived from it with path() and parsed back with parse().
+
+  const Router = {
+    TABS: ['add', 'calendar', 'stats', 'history', 'trash', 'settings'],
+    currentTab: 'add',
+    addTarget: null, // date string or { date, id } shown by the Add view
+    // Position of the current entry in the session history, kept in
+    // history.state so Back/Forward can be undone with history.go()
+    index: 0,
+    returning: false, // the next popstate is that undo
+
+    init() {
+      document.querySelectorAll('.tab').forEach(btn => {
+        btn.addEventListener('click', () => this.navigate(btn.dataset.tab));
+      });
+      const state = history.state;
+      if (state && Number.isInteger(state.index)) this.index = state.index;
+      else history.replaceState({ index: this.index }, '');
+      window.addEventListener('popstate', (e) => {
+        // An entry without an index was added by editing the URL, after ours
+        const index = e.state && Number.isInteger(e.state.index) ? e.state.index : this.index + 1;
+        if (this.returning) {
+          this.returning = false;
+          this.index = index;
+          return;
+        }
+        if (!UI.confirmLeave()) {
+          // Back/Forward already moved: return to the entry of the current
+          // view, leaving the rest of the history as it was
+          this.returning = true;
+          history.go(this.index - index);
+          return;
+        }
+        this.index = index;
+        this.restore({ confirmed: true });
+      });
+    },
+
+    // Open the view described by the current URL (cold start, Back/Forward)
+    restore({ confirmed = false } = {}) {
+      const route = this.parse(location.hash) || this.parseShare(location.search) ||
+        this.parseLegacy(location.search) || { tab: 'add' };
+      this.navigate(route.tab, route.data, { replace: true, confirmed });
+    },
+
+    // `confirmed` when leaving unsaved changes was already accepted
+    navigate(tab, data, { replace = false, confirmed = false } = {}) {
+      if (!confirmed && !UI.confirmLeave()) return;
+      if (Vault.isLocked()) {
+        UI.renderLock(() => this.navigate(tab, data, { replace }));
+        return;
+      }
+      this.apply(tab, data);
+      this.currentTab = tab;
+      // The trash is reached from History and has no tab of its own
+      const activeTab = tab === 'trash' ? 'history' : tab;
+      document.querySelectorAll('.tab').forEach(btn => {
+        const isActive = btn.dataset.tab === activeTab;
+        btn.classList.toggle('active', isActive);
+        btn.setAttribute('aria-selected', String(isActive));
+      });
+      UI.render(tab, data);
+      this.record({ replace });
+    },
+
+    // Push the current view's path, e.g. after moving to another month.
+    // `replace` for changes that shouldn't add a Back step (typing a search).
+    record({ replace = false } = {}) {
+      const path = this.path();
+      if (location.hash === path && !location.search) return;
+      // A legacy `?tab=` URL is rewritten rather than kept as a Back step
+      if (replace || location.search) {
+        history.replaceState({ index: this.index }, '', location.pathname + path);
+      } else {
+        history.pushState({ index: ++this.index }, '', location.pathname + path);
+      }
+    },
+
+    // Route data → view state. Calendar/Stats/History data comes from parse();
+    // Add data is the usual navigate('add', date | { date, id }) target.
+    apply(tab, data) {
+      if (tab === 'add') {
+        this.addTarget = data || null;
+      } else if (tab === 'calendar' && data) {
+        Calendar.mode = data.mode;
+        Calendar.currentDate = data.date;
+      } else if (tab === 'stats' && data) {
+        Object.assign(Stats.period, data);
+      } else if (tab === 'history' && data) {
+        HistoryList.filters = data;
+      }
+    },
+
+    path() {
+      switch (this.currentTab) {
+        case 'add': {
+          const target = this.addTarget;
+          const { date, id } = typeof target === 'object' && target ? target : { date: target };
+          if (!date) return '#/add';
+          return `#/add/${date}${id != null ? `?id=${id}` : ''}`;
+        }
+        case 'calendar': {
+          const d = Calendar.currentDate;
+          return Calendar.mode === 'year'
+            ? `#/calendar/${d.getFullYear()}`
+            : `#/calendar/${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+        }
+        case 'stats':
+          return `#/stats/${Stats.encodePeriod(Stats.period)}`;
+        case 'history': {
+          const { query, moods, from, to } = HistoryList.filters;
+          const params = new URLSearchParams();
+          if (query.trim()) params.set('q', query);
+          if (moods.length) params.set('mood', [...moods].sort().join(','));
+          if (from) params.set('from', from);
+          if (to) params.set('to', to);
+          const qs = params.toString().replace(/%2C/g, ',');
+          return `#/history${qs ? `?${qs}` : ''}`;
+        }
+        case 'trash':
+          return '#/trash';
+        case 'settings':
+          return '#/settings';
+        default:
+          return '#/add';
+      }
+    },
+
+    // '#/tab/arg?query' → { tab, data }, or null when it isn't a valid route
+    parse(hash) {
+      const match = /^#\/(\w+)(?:\/([^?]*))?(?:\?(.*))?$/.exec(hash || '');
+      if (!match || !this.TABS.includes(match[1])) return null;
+      const [, tab, arg = '', query = ''] = match;
+      const params = new URLSearchParams(query);
+
+      switch (tab) {
+        case 'add': {
+          if (!arg) return { tab };
+          if (!isValidDate(arg)) return null;
+          const id = Number(params.get('id'));
+          return { tab, data: Number.isInteger(id) && id > 0 ? { date: arg, id } : arg };
+        }
+        case 'calendar': {
+          if (!arg) return { tab };
+          const m = /^(\d{4})(?:-(\d{2}))?$/.exec(arg);
+          if (!m || (m[2] && (m[2] < 1 || m[2] > 12))) return null;
+          return m[2]
+            ? { tab, data: { mode: 'month', date: new Date(Number(m[1]), Number(m[2]) - 1, 1) } }
+            : { tab, data: { mode: 'year', date: new Date(Number(m[1]), 0, 1) } };
+        }
+        case 'stats': {
+          if (!arg) return { tab };
+          const period = Stats.decodePeriod(arg);
+          return period ? { tab, data: period } : null;
+        }
+        case 'history': {
+          const moods = (params.get('mood') || '').split(',').map(Number).filter(m => Number.isInteger(m) && m >= 1 && m <= Scale.points);
+          const date = (key) => (isValidDate(params.get(key)) ? params.get(key) : '');
+          return { tab, data: { query: params.get('q') || '', moods, from: date('from'), to: date('to') } };
+        }
+        case 'trash':
+        case 'settings':
+          return arg ? null : { tab };
+      }
+      return null;
+    },
+
+    // `?tab=stats` (and `&date=` for Add) from links made before hash routes
+    parseLegacy(search) {
+      const params = new URLSearchParams(search);
+      const tab = params.get('tab');
+      if (!this.TABS.includes(tab)) return null;
+      const date = params.get('date');
+      return tab === 'add' && isValidDate(date) ? { tab, data: date } : { tab };
+    },
+
+    // `?title=…&text=…&url=…` from the manifest's share_target: a new
+    // check-in today with what was shared as its note. Like a legacy URL,
+    // the query is dropped by record() so a reload doesn't share it again.
+    parseShare(search) {
+      const params = new URLSearchParams(search);
+      const note = ['title', 'text', 'url']
+        .map(key => (params.get(key) || '').trim())
+        .filter((value, i, all) => value && all.indexOf(value) === i)
+        .join('\n');
+      return note ? { tab: 'add', data: { date: formatDate(new Date()), note } } : null;
+    }
+  };
+
+  // ── Calendar Module ──
+
+  const Calendar = {
+    // Always use the 1st of the month to avoid overflow when navigating
+    currentDate: new Date(new Date().getFullYear(), new Date().getMonth(), 1),
+    mode: 'month', // 'month' | 'year'
+
+    renderModeToggle() {
+      return `
+        <div class="cal-mode" role="group" aria-label="${t('calendar.modeLabel')}">
+          <button class="cal-mode-btn" data-mode="month" aria-pressed="${this.mode === 'month'}">${t('calendar.month')}</button>
+          <button class="cal-mode-btn" data-mode="year" aria-pressed="${this.mode === 'year'}">${t('calendar.year')}</button>
+        </div>
+      `;
+    },
+
+    dayLabel(dateLabel, dayEntries, mood) {
+      if (dayEntries.length > 1) return t('calendar.dayMany', { date: dateLabel, count: dayEntries.length, mood: Scale.label(mood) });
+      if (dayEntries.length === 1) return t('calendar.dayOne', { date: dateLabel, mood: Scale.label(mood) });
+      return dateLabel;
+    },
+
+    // Column of a day in the week, 0 to 6 from I18n.firstDay
+    weekColumn(d) {
+      return ((d.getDay() + 6) % 7 - I18n.firstDay + 7) % 7;
+    },
+
+    // Month grid of `date` (the month shown by default, another for Report).
+    // One week per row; only `focusDate` (else today, else the 1st) is in
+    // the tab order, the arrow keys move from there (UI.bindCalendarGrid).
+    render(entries, date = this.currentDate, focusDate = null) {
+      const year = date.getFullYear();
+      const month = date.getMonth();
+
+      const days = groupByDate(entries);
+
+      const firstDay = new Date(year, month, 1);
+      const lastDay = new Date(year, month + 1, 0);
+      const startDay = this.weekColumn(firstDay); // blank cells before the 1st
+      const todayStr = formatDate(new Date());
+      const prefix = formatDate(firstDay).slice(0, 8);
+      const active = [focusDate, todayStr].find(d => d && d.startsWith(prefix)) || formatDate(firstDay);
+
+      let html = `
+        <div class="calendar">
+          ${this.renderModeToggle()}
+          <div class="calendar-header">
+            <button class="cal-nav" id="prev-month" aria-label="${t('calendar.prevMonth')}">\u25C0</button>
+            <h2 id="calendar-month">${formatMonthYear(firstDay)}</h2>
+            <button class="cal-nav" id="next-month" aria-label="${t('calendar.nextMonth')}">\u25B6</button>
+          </div>
+          <div class="calendar-grid" role="grid" aria-labelledby="calendar-month">
+            <div class="cal-row" role="row">
+              ${I18n.weekOrder().map(d => `<div class="cal-day-name" role="columnheader">${I18n.dayNames[d]}</div>`).join('')}
+            </div>
+            <div class="cal-row" role="row">
+      `;
+
+      for (let i = 0; i < startDay; i++) {
+        html += '<div class="cal-cell empty" role="gridcell"></div>';
+      }
+
+      for (let d = 1; d <= lastDay.getDate(); d++) {
+        if (d > 1 && (startDay + d - 1) % 7 === 0) html += '</div><div class="cal-row" role="row">';
+        const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+        const dayEntries = days.get(dateStr) || [];
+        const hasEntry = dayEntries.length > 0;
+        // Several check-ins: show the daily average
+        const mood = hasEntry ? Math.round(averageMood(dayEntries)) : null;
+        const isToday = dateStr === todayStr;
+        const label = this.dayLabel(formatDayMonth(dateStr), dayEntries, mood);
+        html += `
+          <div class="cal-cell${hasEntry ? ' has-entry' : ''}${isToday ? ' today' : ''}"
+               data-date="${dateStr}" role="gridcell" tabindex="${dateStr === active ? 0 : -1}" aria-label="${label}"${isToday ? ' aria-current="date"' : ''}>
+            <span class="cal-date">${d}</span>
+            ${hasEntry ? `<span class="cal-mood">${Scale.emoji(mood)}</span>` : ''}
+            ${dayEntries.length > 1 ? `<span class="cal-count" aria-hidden="true">${dayEntries.length}</span>` : ''}
+          </div>
+        `;
+      }
+
+      // Complete the last week so each row has 7 cells
+      for (let i = (startDay + lastDay.getDate()) % 7; i > 0 && i < 7; i++) {
+        html += '<div class="cal-cell empty" role="gridcell"></div>';
+      }
+
+      html += '</div></div></div>';
+      return html;
+    },
+
+    // Day the focus goes to from `dateStr` with a grid key, or null for
+    // other keys. Home/End stop at the ends of the month; the other moves
+    // may leave it, PageUp/PageDown keep the day of the month (or the last
+    // one of a shorter month).
+    keyTarget(dateStr, key) {
+      const d = new Date(dateStr + 'T00:00:00');
+      const monthEdge = (target) => {
+        const first = new Date(d.getFullYear(), d.getMonth(), 1);
+        const last = new Date(d.getFullYear(), d.getMonth() + 1, 0);
+        return formatDate(target < first ? first : target > last ? last : target);
+      };
+      const otherMonth = (delta) => this.shiftMonths(d, delta);
+      switch (key) {
+        case 'ArrowLeft': return addDays(dateStr, -1);
+        case 'ArrowRight': return addDays(dateStr, 1);
+        case 'ArrowUp': return addDays(dateStr, -7);
+        case 'ArrowDown': return addDays(dateStr, 7);
+        case 'Home': return monthEdge(new Date(d.getFullYear(), d.getMonth(), d.getDate() - this.weekColumn(d)));
+        case 'End': return monthEdge(new Date(d.getFullYear(), d.getMonth(), d.getDate() + 6 - this.weekColumn(d)));
+        case 'PageUp': return otherMonth(-1);
+        case 'PageDown': return otherMonth(1);
+        default: return null;
+      }
+    },
+
+    // Same for the year grid, where a row is a day of the month and a
+    // column a month: Left/Right and Home/End move across months on the
+    // same day, PageUp/PageDown change year
+    yearKeyTarget(dateStr, key) {
+      const d = new Date(dateStr + 'T00:00:00');
+      switch (key) {
+        case 'ArrowUp': return addDays(dateStr, -1);
+        case 'ArrowDown': return addDays(dateStr, 1);
+        case 'ArrowLeft': return this.shiftMonths(d, -1);
+        case 'ArrowRight': return this.shiftMonths(d, 1);
+        case 'Home': return this.shiftMonths(d, -d.getMonth());
+        case 'End': return this.shiftMonths(d, 11 - d.getMonth());
+        case 'PageUp': return this.shiftMonths(d, -12);
+        case 'PageDown': return this.shiftMonths(d, 12);
+        default: return null;
+      }
+    },
+
+    // `delta` months after `d`, on the same day or the last one of a
+    // shorter month
+    shiftMonths(d, delta) {
+      const lastDay = new Date(d.getFullYear(), d.getMonth() + delta + 1, 0).getDate();
+      return formatDate(new Date(d.getFullYear(), d.getMonth() + delta, Math.min(d.getDate(), lastDay)));
+    },
+
+    // Year in pixels: one column per month, one row per day of the month.
+    // Days that don't exist (30 February…) are left as blank cells. Like
+    // the month grid, only `focusDate` (else today, else 1 January) is in
+    // the tab order.
+    renderYear(entries, focusDate = null) {
+      const year = this.currentDate.getFullYear();
+      const days = groupByDate(entries);
+      const todayStr = formatDate(new Date());
+      const active = [focusDate, todayStr].find(d => d && d.startsWith(`${year}-`)) || `${year}-01-01`;
+      const daysInMonth = I18n.monthNames.map((_, m) => new Date(year, m + 1, 0).getDate());
+
+      let html = `
+        <div class="calendar">
+          ${this.renderModeToggle()}
+          <div class="calendar-header">
+            <button class="cal-nav" id="prev-year" aria-label="${t('calendar.prevYear')}">\u25C0</button>
+            <h2>${year}</h2>
+            <button class="cal-nav" id="next-year" aria-label="${t('calendar.nextYear')}">\u25B6</button>
+          </div>
+          <div class="year-grid" role="grid" aria-label="${t('calendar.yearLabel', { year })}">
+            <div class="year-row" role="row">
+              <div class="year-day-num" role="columnheader"></div>
+              ${I18n.monthNames.map((name, m) => `
+                <div class="year-month-name" role="columnheader">
+                  <button class="year-month-btn" data-month="${m}" aria-label="${formatMonthYear(new Date(year, m, 1))}">${name.charAt(0)}</button>
+                </div>
+              `).join('')}
+            </div>
+      `;
+
+      for (let d = 1; d <= 31; d++) {
+        html += `<div class="year-row" role="row"><div class="year-day-num" role="rowheader">${d}</div>`;
+        for (let m = 0; m < 12; m++) {
+          if (d > daysInMonth[m]) {
+            html += '<div class="year-cell empty" role="gridcell"></div>';
+            continue;
+          }
+          const dateStr = `${year}-${String(m + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+          const dayEntries = days.get(dateStr) || [];
+          const mood = dayEntries.length ? Math.round(averageMood(dayEntries)) : null;
+          const label = this.dayLabel(formatDayMonth(dateStr), dayEntries, mood);
+          html += `
+            <div class="year-cell${mood ? ` mood-${Scale.level(mood)}` : ''}${dateStr === todayStr ? ' today' : ''}"
+                 data-date="${dateStr}" role="gridcell" tabindex="${dateStr === active ? 0 : -1}" aria-label="${label}" title="${label}"></div>
+          `;
+        }
+        html += '</div>';
+      }
+
+      html += `
+          </div>
+          <div class="year-legend" aria-hidden="true">
+            ${Scale.emojis.map((emoji, i) => `<span class="year-legend-item"><span class="year-cell mood-${Scale.level(i + 1)}"></span>${emoji}</span>`).join('')}
+          </div>
+        </div>
+      `;
+      return html;
+    }
+  };
+
+  // ── Stats Module ──
+
+  const Stats = {
+    PERIODS: ['week', 'month', 'quarter', 'year', 'custom'],
+    ROLLING_DAYS: 7,
+    TREND_ICONS: { up: '\u2197\uFE0F', down: '\u2198\uFE0F', stable: '\u27A1\uFE0F' },
+
+    // Period shown in the Stats tab. `anchor` is any day inside it;
+    // `from`/`to` are only used by the custom mode.
+    period: {
+      mode: 'month',
+      anchor: new Date(new Date().getFullYear(), new Date().getMonth(), new Date().getDate()),
+      from: null,
+      to: null
+    },
+
+    // First and last day (inclusive) of the period containing `anchor`, or
+    // the ordered `from`/`to` of a custom period (which may have no anchor)
+    range({ mode, anchor, from, to }) {
+      if (mode === 'custom') return from <= to ? { from, to } : { from: to, to: from };
+      const y = anchor.getFullYear();
+      const m = anchor.getMonth();
+      switch (mode) {
+        case 'week': {
+          // Back to the first day of the locale's week
+          const start = new Date(y, m, anchor.getDate() - ((anchor.getDay() + 6) % 7 - I18n.firstDay + 7) % 7);
+          const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+          return { from: formatDate(start), to: formatDate(end) };
+        }
+        case 'quarter': {
+          const first = Math.floor(m / 3) * 3;
+          return { from: formatDate(new Date(y, first, 1)), to: formatDate(new Date(y, first + 3, 0)) };
+        }
+        case 'year':
+          return { from: `${y}-01-01`, to: `${y}-12-31` };
+        default:
+          return { from: formatDate(new Date(y, m, 1)), to: formatDate(new Date(y, m + 1, 0)) };
+      }
+    },
+
+    // Anchor of the period `delta` steps away
+    shift({ mode, anchor }, delta) {
+      const y = anchor.getFullYear();
+      const m = anchor.getMonth();
+      switch (mode) {
+        case 'week':    return new Date(y, m, anchor.getDate() + 7 * delta);
+        case 'quarter': return new Date(y, m + 3 * delta, 1);
+        case 'year':    return new Date(y + delta, m, 1);
+        default:        return new Date(y, m + delta, 1);
+      }
+    },
+
+    // Route form of a period: 2026-W43 (ISO week), 2026-10, 2026-Q3, 2026
+    // or 2026-10-01..2026-10-19. Weeks that don't start on Monday are named
+    // after the ISO week of their middle day, which holds most of their days.
+    encodePeriod(period) {
+      const { mode, anchor } = period;
+      const y = anchor.getFullYear();
+      switch (mode) {
+        case 'week': {
+          const from = new Date(this.range(period).from + 'T00:00:00');
+          const mid = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 3);
+          // ISO week: the one holding Thursday, numbered within that Thursday's year
+          const thursday = new Date(mid.getFullYear(), mid.getMonth(), mid.getDate() + 3 - (mid.getDay() + 6) % 7);
+          const day = Math.round((thursday - new Date(thursday.getFullYear(), 0, 1)) / 86400000);
+          const week = Math.floor(day / 7) + 1;
+          return `${thursday.getFullYear()}-W${String(week).padStart(2, '0')}`;
+        }
+        case 'quarter': return `${y}-Q${Math.floor(anchor.getMonth() / 3) + 1}`;
+        case 'year':    return String(y);
+        case 'custom':  return `${period.from}..${period.to}`;
+        default:        return `${y}-${String(anchor.getMonth() + 1).padStart(2, '0')}`;
+      }
+    },
+
+    // Inverse of encodePeriod(); null for anything else
+    decodePeriod(str) {
+      let m = /^(\d{4})-W(\d{2})$/.exec(str);
+      if (m) {
+        // Week 1 is the one holding 4 January. W53 only exists in some years:
+        // reject it when it is really W01 of the next one.
+        const jan4 = new Date(Number(m[1]), 0, 4);
+        const period = { mode: 'week', anchor: new Date(Number(m[1]), 0, 4 - (jan4.getDay() + 6) % 7 + (Number(m[2]) - 1) * 7) };
+        return Number(m[2]) >= 1 && this.encodePeriod(period) === str ? period : null;
+      }
+      if ((m = /^(\d{4})-Q([1-4])$/.exec(str))) {
+        return { mode: 'quarter', anchor: new Date(Number(m[1]), (Number(m[2]) - 1) * 3, 1) };
+      }
+      if ((m = /^(\d{4})-(\d{2})$/.exec(str)) && m[2] >= 1 && m[2] <= 12) {
+        return { mode: 'month', anchor: new Date(Number(m[1]), Number(m[2]) - 1, 1) };
+      }
+      if (/^\d{4}$/.test(str)) {
+        return { mode: 'year', anchor: new Date(Number(str), 0, 1) };
+      }
+      m = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/.exec(str);
+      if (m && isValidDate(m[1]) && isValidDate(m[2])) {
+        const [from, to] = [m[1], m[2]].sort();
+        return { mode: 'custom', anchor: new Date(from + 'T00:00:00'), from, to };
+      }
+      return null;
+    },
+
+    label(period, range) {
+      const y = period.anchor.getFullYear();
+      switch (period.mode) {
+        case 'week':    return t('stats.weekLabel', { from: formatDateShort(range.from), to: formatDateShort(range.to) });
+        case 'quarter': return t('stats.quarterLabel', { quarter: Math.floor(period.anchor.getMonth() / 3) + 1, year: y });
+        case 'year':    return String(y);
+        case 'custom':  return t('stats.customLabel', { from: formatDateShort(range.from), to: formatDateShort(range.to) });
+        default:        return formatMonthYear(period.anchor);
+      }
+    },
+
+    // Entries of `range`, plus the days before it needed to start the
+    // rolling average of the timeline
+    async load(range) {
+      return DB.getRange(addDays(range.from, -(this.ROLLING_DAYS - 1)), range.to);
+    },
+
+    // With a `range`, entries before `range.from` only feed the rolling
+    // average; every other figure covers the range alone.
+    calculate(entries, range) {
+      const timeline = range ? this.timeline(entries, range) : [];
+      if (range) entries = entries.filter(e => e.date >= range.from && e.date <= range.to);
+
+      // Everything below works on daily averages so a day with several
+      // check-ins weighs as much as any other day
+      const daily = [...groupByDate(entries)]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([date, dayEntries]) => ({ date, mood: averageMood(dayEntries) }));
+
+      const distribution = new Array(Scale.points).fill(0);
+      entries.forEach(e => distribution[e.mood - 1]++);
+
+      return {
+        average: entries.length ? averageMood(entries) : 0,
+        count: entries.length,
+        days: daily.length,
+        distribution,
+        ...this.trend(daily),
+        volatility: this.volatility(daily),
+        longestStreak: this.longestStreak(daily),
+        missedDays: this.missedDays(daily, range),
+        weekdays: this.weekdays(daily),
+        timeline
+      };
+    },
+
+    // Least-squares slope of the daily averages against their day offset,
+    // so gaps between logged days count. `slope` is in mood points per week;
+    // `confidence` grows with the slope's t-statistic (|t| ≥ 2 is roughly
+    // the 95 % level). Weak slopes are reported as stable.
+    trend(daily) {
+      const flat = { trend: 'stable', slope: 0, confidence: 'low' };
+      const n = daily.length;
+      if (n < 3) return flat;
+
+      const origin = new Date(daily[0].date + 'T00:00:00');
+      const xs = daily.map(d => Math.round((new Date(d.date + 'T00:00:00') - origin) / 86400000));
+      const ys = daily.map(d => d.mood);
+      const meanX = xs.reduce((s, x) => s + x, 0) / n;
+      const meanY = ys.reduce((s, y) => s + y, 0) / n;
+
+      let sxx = 0;
+      let sxy = 0;
+      xs.forEach((x, i) => {
+        sxx += (x - meanX) ** 2;
+        sxy += (x - meanX) * (ys[i] - meanY);
+      });
+      const slope = sxy / sxx;
+      const sse = xs.reduce((s, x, i) => s + (ys[i] - meanY - slope * (x - meanX)) ** 2, 0);
+      const stdErr = Math.sqrt(sse / (n - 2) / sxx);
+      const t = stdErr > 0 ? Math.abs(slope) / stdErr : (slope === 0 ? 0 : Infinity);
+
+      const confidence = t >= 2 ? 'high' : t >= 1 ? 'medium' : 'low';
+      if (confidence === 'low') return { ...flat, slope: slope * 7 };
+      return { trend: slope > 0 ? 'up' : 'down', slope: slope * 7, confidence };
+    },
+
+    // Standard deviation of the daily averages
+    volatility(daily) {
+      if (daily.length < 2) return 0;
+      const mean = daily.reduce((s, d) => s + d.mood, 0) / daily.length;
+      return Math.sqrt(daily.reduce((s, d) => s + (d.mood - mean) ** 2, 0) / daily.length);
+    },
+
+    longestStreak(daily) {
+      let longest = 0;
+      let current = 0;
+      daily.forEach((d, i) => {
+        current = i > 0 && addDays(daily[i - 1].date, 1) === d.date ? current + 1 : 1;
+        longest = Math.max(longest, current);
+      });
+      return longest;
+    },
+
+    // Days without any check-in, not counting the future
+    missedDays(daily, range) {
+      if (!range && daily.length === 0) return 0;
+      const from = range ? range.from : daily[0].date;
+      const today = formatDate(new Date());
+      const to = range ? (range.to < today ? range.to : today) : daily[daily.length - 1].date;
+      if (from > to) return 0;
+      const span = Math.round((new Date(to + 'T00:00:00') - new Date(from + 'T00:00:00')) / 86400000) + 1;
+      return span - daily.filter(d => d.date >= from && d.date <= to).length;
+    },
+
+    // Average mood per weekday (Monday = 0); null unless at least two
+    // different weekdays were logged
+    weekdays(daily) {
+      const sums = Array.from({ length: 7 }, () => ({ total: 0, count: 0 }));
+      daily.forEach(d => {
+        const day = (new Date(d.date + 'T00:00:00').getDay() + 6) % 7;
+        sums[day].total += d.mood;
+        sums[day].count++;
+      });
+      const averages = sums
+        .map((s, day) => ({ day, average: s.count ? s.total / s.count : null }))
+        .filter(d => d.average !== null);
+      if (averages.length < 2) return null;
+      const sorted = [...averages].sort((a, b) => b.average - a.average);
+      return { best: sorted[0], worst: sorted[sorted.length - 1] };
+    },
+
+    // Consecutive days with at least one check-in up to today. A streak
+    // that ended yesterday still counts, since today may not be logged yet.
+    async currentStreak() {
+      const today = formatDate(new Date());
+      let streak = 0;
+      let last = null;
+      await DB.scanByDate(IDBKeyRange.upperBound(today), 'prev', (row) => {
+        if (row.date === last) return;
+        if (row.date < addDays(last || today, -1)) return false;
+        streak++;
+        last = row.date;
+      });
+      return streak;
+    },
+
+    // One point per calendar day of the range: the daily average (null when
+    // nothing was logged) and the average of the last ROLLING_DAYS days
+    timeline(entries, { from, to }) {
+      const days = groupByDate(entries);
+      const daily = (date) => {
+        const dayEntries = days.get(date);
+        return dayEntries ? averageMood(dayEntries) : null;
+      };
+
+      const recent = [];
+      const points = [];
+      const cursor = new Date(from + 'T00:00:00');
+      cursor.setDate(cursor.getDate() - (this.ROLLING_DAYS - 1));
+      for (let date = formatDate(cursor); date <= to; cursor.setDate(cursor.getDate() + 1), date = formatDate(cursor)) {
+        const average = daily(date);
+        recent.push(average);
+        if (recent.length > this.ROLLING_DAYS) recent.shift();
+        if (date < from) continue;
+
+        const known = recent.filter(v => v !== null);
+        points.push({
+          date,
+          count: (days.get(date) || []).length,
+          average,
+          rolling: known.length ? known.reduce((s, v) => s + v, 0) / known.length : null
+        });
+      }
+      return points;
+    },
+
+    // Average mood and number of check-ins per tag, with the difference to
+    // the overall average of the same entries. Most used tags first.
+    byTag(entries) {
+      const overall = entries.length ? averageMood(entries) : 0;
+      const groups = new Map();
+      entries.forEach(e => (e.tags || []).forEach(tag => {
+        if (!groups.has(tag)) groups.set(tag, []);
+        groups.get(tag).push(e);
+      }));
+      return [...groups]
+        .map(([tag, tagged]) => {
+          const average = averageMood(tagged);
+          return { tag, count: tagged.length, average, delta: average - overall };
+        })
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+  };
+
+  // ── Timeline Chart ──
+  //
+  // Dependency-free SVG line chart of `Stats.calculate(…).timeline`: daily
+  // average as dots joined by a line, rolling average as a thicker line.
+  // The same points are listed in a table for screen readers.
+
+  const Timeline = {
+    WIDTH: 640,
+    HEIGHT: 220,
+    PAD: { top: 14, right: 12, bottom: 26, left: 32 },
+
+    x(i, count) {
+      const inner = this.WIDTH - this.PAD.left - this.PAD.right;
+      return this.PAD.left + (count > 1 ? (i * inner) / (count - 1) : inner / 2);
+    },
+
+    y(mood) {
+      const inner = this.HEIGHT - this.PAD.top - this.PAD.bottom;
+      return this.PAD.top + ((Scale.points - mood) * inner) / (Scale.points - 1);
+    },
+
+    // Days without data are skipped by the daily line but break the
+    // rolling one (no data for a whole window)
+    path(points, key, joinGaps) {
+      let d = '';
+      let pen = false;
+      points.forEach((p, i) => {
+        if (p[key] === null) {
+          if (!joinGaps) pen = false;
+          return;
+        }
+        d += `${pen ? 'L' : 'M'}${this.x(i, points.length).toFixed(1)},${this.y(p[key]).toFixed(1)}`;
+        pen = true;
+      });
+      return d;
+    },
+
+    // Up to ~8 day labels on short ranges, month starts on longer ones
+    ticks(points) {
+      if (points.length <= 62) {
+        const step = Math.ceil(points.length / 8);
+        return points
+          .map((p, i) => ({ i, label: formatDateShort(p.date) }))
+          .filter(({ i }) => i % step === 0);
+      }
+      const starts = points
+        .map((p, i) => ({ i, date: p.date }))
+        .filter(({ date }) => date.endsWith('-01'));
+      const step = Math.ceil(starts.length / 12);
+      return starts
+        .filter((_, k) => k % step === 0)
+        .map(({ i, date }) => ({
+          i,
+          label: date.endsWith('-01-01')
+            ? date.slice(0, 4)
+            : new Date(date + 'T00:00:00').toLocaleDateString(I18n.locale, { month: 'short' })
+        }));
+    },
+
+    describe(p) {
+      const date = formatDateShort(p.date);
+      if (p.average === null) return t('timeline.noEntry', { date });
+      const params = { date, mood: Scale.label(p.average), value: I18n.number(p.average) };
+      if (p.rolling === null) return t('timeline.point', params);
+      return t('timeline.pointRolling', { ...params, days: Stats.ROLLING_DAYS, rolling: I18n.number(p.rolling) });
+    },
+
+    render(points) {
+      const data = points.filter(p => p.average !== null);
+      if (data.length === 0) return `<p class="settings-hint">${t('timeline.empty')}</p>`;
+
+      const n = points.length;
+      const r = n > 92 ? 1.5 : 3;
+      const left = this.PAD.left;
+      const right = this.WIDTH - this.PAD.right;
+
+      return `
+        <div class="timeline-chart">
+          <svg viewBox="0 0 ${this.WIDTH} ${this.HEIGHT}" role="img"
+               aria-label="${t('timeline.label', { days: Stats.ROLLING_DAYS })}">
+            ${Scale.emojis.map((emoji, i) => `
+              <line class="timeline-grid" x1="${left}" x2="${right}" y1="${this.y(i + 1)}" y2="${this.y(i + 1)}"></line>
+              <text class="timeline-axis" x="${left - 8}" y="${this.y(i + 1)}" text-anchor="end" dominant-baseline="central">${emoji}</text>
+            `).join('')}
+            ${this.ticks(points).map(t => `
+              <text class="timeline-axis" x="${this.x(t.i, n)}" y="${this.HEIGHT - 6}" text-anchor="middle">${t.label}</text>
+            `).join('')}
+            <path class="timeline-daily" d="${this.path(points, 'average', true)}"></path>
+            <path class="timeline-rolling" d="${this.path(points, 'rolling', false)}"></path>
+            ${points.map((p, i) => p.average === null ? '' : `
+              <circle class="timeline-dot" cx="${this.x(i, n).toFixed(1)}" cy="${this.y(p.average).toFixed(1)}" r="${r}"></circle>
+            `).join('')}
+            <line class="timeline-cursor" y1="${this.PAD.top}" y2="${this.HEIGHT - this.PAD.bottom}" visibility="hidden"></line>
+          </svg>
+          <div class="timeline-tooltip" aria-hidden="true" hidden></div>
+          <div class="timeline-legend" aria-hidden="true">
+            <span class="timeline-key daily">${t('timeline.daily')}</span>
+            <span class="timeline-key rolling">${t('timeline.rolling', { days: Stats.ROLLING_DAYS })}</span>
+          </div>
+        </div>
+        <details class="timeline-data">
+          <summary>${t('timeline.table')}</summary>
+          <table>
+            <thead>
+              <tr>
+                <th scope="col">${t('timeline.date')}</th>
+                <th scope="col">${t('timeline.entries')}</th>
+                <th scope="col">${t('timeline.daily')}</th>
+                <th scope="col">${t('timeline.rollingColumn', { days: Stats.ROLLING_DAYS })}</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${data.map(p => `
+                <tr>
+                  <th scope="row">${formatDateShort(p.date)}</th>
+                  <td>${p.count}</td>
+                  <td>${I18n.number(p.average)}</td>
+                  <td>${p.rolling !== null ? I18n.number(p.rolling) : '\u2014'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </details>
+      `;
+    },
+
+    // Tooltip follows the pointer and snaps to the nearest day
+    bind(container, points) {
+      const chart = container.querySelector('.timeline-chart');
+      if (!chart) return;
+      const svg = chart.querySelector('svg');
+      const cursor = chart.querySelector('.timeline-cursor');
+      const tooltip = chart.querySelector('.timeline-tooltip');
+      const n = points.length;
+      const inner = this.WIDTH - this.PAD.left - this.PAD.right;
+
+      svg.addEventListener('pointermove', (e) => {
+        const rect = svg.getBoundingClientRect();
+        const vx = ((e.clientX - rect.left) / rect.width) * this.WIDTH;
+        const i = n > 1 ? Math.round(((vx - this.PAD.left) / inner) * (n - 1)) : 0;
+        const p = points[Math.max(0, Math.min(n - 1, i))];
+        const x = this.x(points.indexOf(p), n);
+
+        cursor.setAttribute('x1', x);
+        cursor.setAttribute('x2', x);
+        cursor.setAttribute('visibility', 'visible');
+        tooltip.textContent = this.describe(p);
+        tooltip.hidden = false;
+        const px = (x / this.WIDTH) * rect.width;
+        tooltip.style.left = `${Math.min(Math.max(px, 70), rect.width - 70)}px`;
+      });
+
+      svg.addEventListener('pointerleave', () => {
+        cursor.setAttribute('visibility', 'hidden');
+        tooltip.hidden = true;
+      });
+    }
+  };
+
+  // ── Report Module ──
+  //
+  // Snapshot of one month: its calendar grid with the average, trend and
+  // distribution of Stats.calculate(). Drawn on a canvas for a PNG to share
+  // (Web Share API with files, else a download), or laid out as a page for
+  // the printer, with the notes if asked. Both use light colours whatever
+  // the theme, like paper.
+
+  const Report = {
+    WIDTH: 1080,
+    PADDING: 60,
+    FONT: "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif",
+    COLORS: { bg: '#FFFFFF', cell: '#F0F0F5', text: '#2D3436', muted: '#636E72', primary: '#6C63FF' },
+
+    // `date`: any day of the month
+    async build(date) {
+      const month = new Date(date.getFullYear(), date.getMonth(), 1);
+      const range = Stats.range({ mode: 'month', anchor: month });
+      const entries = await DB.getRange(range.from, range.to);
+      return { month, range, entries, stats: Stats.calculate(entries, range) };
+    },
+
+    title(report) {
+      return t('report.title', { month: formatMonthYear(report.month) });
+    },
+
+    filename(report) {
+      return `${t('report.filename')}-${report.range.from.slice(0, 7)}.png`;
+    },
+
+    moodColor(mood) {
+      const css = getComputedStyle(document.documentElement).getPropertyValue(`--mood-${Scale.level(mood)}`);
+      return css.trim() || this.COLORS.cell;
+    },
+
+    summary(report) {
+      const { stats } = report;
+      return [
+        { label: t('stats.average'), value: stats.average ? `${Scale.emoji(stats.average)} ${I18n.number(stats.average)}/${Scale.points}` : '\u2014' },
+        { label: t('stats.entries'), value: String(stats.count) },
+        { label: t('stats.trend'), value: `${Stats.TREND_ICONS[stats.trend]} ${t(`stats.trend.${stats.trend}`)}` }
+      ];
+    },
+
+    // Whether share() opens the share sheet rather than downloading
+    canShareFiles() {
+      try {
+        return !!(navigator.canShare && navigator.canShare({ files: [new File([], 'report.png', { type: 'image/png' })] }));
+      } catch (_) {
+        return false;
+      }
+    },
+
+    // ── Image ──
+
+    draw(report) {
+      const { WIDTH: width, PADDING: pad, COLORS: colors } = this;
+      const { month, stats } = report;
+      const days = groupByDate(report.entries);
+      const year = month.getFullYear();
+      const monthIndex = month.getMonth();
+      const dayCount = new Date(year, monthIndex + 1, 0).getDate();
+      const startDay = ((month.getDay() + 6) % 7 - I18n.firstDay + 7) % 7;
+      const rows = Math.ceil((startDay + dayCount) / 7);
+      const gap = 8;
+      const cell = (width - 2 * pad - 6 * gap) / 7;
+      const barRow = 44;
+
+      const gridTop = pad + 70 + 130 + 40;
+      const distTop = gridTop + 40 + rows * (cell + gap) + 40;
+      const height = distTop + 50 + Scale.points * barRow + pad;
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = Math.ceil(height);
+      const ctx = canvas.getContext('2d');
+      const font = (size, weight = 400) => `${weight} ${size}px ${this.FONT}`;
+      const box = (x, y, w, h, r, fill) => {
+        ctx.fillStyle = fill;
+        ctx.beginPath();
+        if (ctx.roundRect) ctx.roundRect(x, y, w, h, r);
+        else ctx.rect(x, y, w, h);
+        ctx.fill();
+      };
+
+      ctx.fillStyle = colors.bg;
+      ctx.fillRect(0, 0, width, height);
+      ctx.textBaseline = 'middle';
+
+      ctx.fillStyle = colors.primary;
+      ctx.font = font(44, 700);
+      ctx.fillText(this.title(report), pad, pad + 24);
+
+      // Average, check-ins, trend
+      const cards = this.summary(report);
+      const cardWidth = (width - 2 * pad - 2 * 20) / 3;
+      cards.forEach((card, i) => {
+        const x = pad + i * (cardWidth + 20);
+        const y = pad + 70;
+        box(x, y, cardWidth, 110, 16, colors.cell);
+        ctx.textAlign = 'center';
+        ctx.fillStyle = colors.text;
+        ctx.font = font(36, 600);
+        ctx.fillText(card.value, x + cardWidth / 2, y + 44, cardWidth - 20);
+        ctx.fillStyle = colors.muted;
+        ctx.font = font(22);
+        ctx.fillText(card.label, x + cardWidth / 2, y + 86, cardWidth - 20);
+      });
+
+      // Calendar grid
+      ctx.textAlign = 'center';
+      ctx.fillStyle = colors.muted;
+      ctx.font = font(22, 600);
+      I18n.weekOrder().forEach((day, i) => {
+        ctx.fillText(I18n.dayNames[day], pad + i * (cell + gap) + cell / 2, gridTop + 16);
+      });
+      for (let d = 1; d <= dayCount; d++) {
+        const index = startDay + d - 1;
+        const x = pad + (index % 7) * (cell + gap);
+        const y = gridTop + 40 + Math.floor(index / 7) * (cell + gap);
+        const dayEntries = days.get(`${report.range.from.slice(0, 8)}${String(d).padStart(2, '0')}`) || [];
+        const mood = dayEntries.length ? Math.round(averageMood(dayEntries)) : null;
+        box(x, y, cell, cell, 14, colors.cell);
+        if (mood) {
+          ctx.globalAlpha = 0.35;
+          box(x, y, cell, cell, 14, this.moodColor(mood));
+          ctx.globalAlpha = 1;
+        }
+        ctx.textAlign = 'left';
+        ctx.fillStyle = colors.muted;
+        ctx.font = font(20);
+        ctx.fillText(String(d), x + 12, y + 20);
+        if (mood) {
+          ctx.textAlign = 'center';
+          ctx.font = font(Math.round(cell * 0.42));
+          ctx.fillText(Scale.emoji(mood), x + cell / 2, y + cell * 0.58);
+        }
+      }
+
+      // Distribution
+      ctx.textAlign = 'left';
+      ctx.fillStyle = colors.text;
+      ctx.font = font(28, 600);
+      ctx.fillText(t('stats.distribution'), pad, distTop + 16);
+      const max = Math.max(...stats.distribution, 1);
+      const barX = pad + 60;
+      const barWidth = width - 2 * pad - 60 - 70;
+      stats.distribution.forEach((count, i) => {
+        const y = distTop + 50 + i * barRow;
+        ctx.textAlign = 'left';
+        ctx.font = font(28);
+        ctx.fillText(Scale.emojis[i], pad, y + barRow / 2 - 4);
+        box(barX, y + 8, barWidth, barRow - 24, 8, colors.cell);
+        if (count) box(barX, y + 8, Math.max(barWidth * count / max, 16), barRow - 24, 8, this.moodColor(i + 1));
+        ctx.textAlign = 'right';
+        ctx.fillStyle = colors.muted;
+        ctx.font = font(24);
+        ctx.fillText(String(count), width - pad, y + barRow / 2 - 4);
+        ctx.fillStyle = colors.text;
+      });
+
+      return canvas;
+    },
+
+    toPNG(report) {
+      const canvas = this.draw(report);
+      return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+          if (blob) resolve(blob);
+          else reject(new Error('Canvas export failed'));
+        }, 'image/png');
+      });
+    },
+
+    // Share sheet where files can be shared, download elsewhere. Resolves
+    // with 'shared', 'cancelled' or 'downloaded'.
+    async share(report) {
+      const blob = await this.toPNG(report);
+      const file = new File([blob], this.filename(report), { type: 'image/png' });
+      if (navigator.canShare && navigator.canShare({ files: [file] })) {
+        try {
+          await navigator.share({ files: [file], title: this.title(report) });
+          return 'shared';
+        } catch (err) {
+          if (err.name === 'AbortError') return 'cancelled';
+          // e.g. the user activation expired while drawing: download instead
+          console.warn('Share failed:', err);
+        }
+      }
+      downloadFile(file.name, blob, 'image/png');
+      return 'downloaded';
+    },
+
+    // ── Print ──
+
+    renderPrint(report, { notes }) {
+      const { stats } = report;
+      const withNotes = report.entries.filter(e => e.note);
+      return `
+        <article class="print-report">
+          <h1>${this.title(report)}</h1>
+          <dl class="print-summary">
+            ${this.summary(report).map(card => `
+              <div><dt>${card.label}</dt><dd>${card.value}</dd></div>
+            `).join('')}
+          </dl>
+          ${Calendar.render(report.entries, report.month)}
+          <h2>${t('stats.distribution')}</h2>
+          <table class="print-distribution">
+            ${Scale.emojis.map((emoji, i) => `
+              <tr><th scope="row">${emoji} ${escapeHtml(Scale.labels[i])}</th><td>${stats.distribution[i]}</td></tr>
+            `).join('')}
+          </table>
+          ${notes ? `
+            <h2>${t('report.notes')}</h2>
+            ${withNotes.length ? `
+              <ul class="print-notes">
+                ${withNotes.map(e => `
+                  <li><strong>${formatDateShort(e.date)} · ${e.time} ${Scale.emoji(e.mood)}</strong> ${escapeHtml(e.note)}</li>
+                `).join('')}
+              </ul>
+            ` : `<p>${t('report.noNotes')}</p>`}
+          ` : ''}
+          <p class="print-footer">${t('report.generated', { date: formatDateDisplay(formatDate(new Date())) })}</p>
+        </article>
+      `;
+    },
+
+    // The page is printed alone, then removed
+    print(report, options) {
+      const root = document.createElement('div');
+      root.id = 'print-report';
+      root.innerHTML = this.renderPrint(report, options);
+      // Screen-only parts of the calendar
+      root.querySelectorAll('.cal-mode, .calendar-header').forEach(el => el.remove());
+      root.querySelectorAll('[tabindex]').forEach(el => el.removeAttribute('tabindex'));
+      document.body.append(root);
+      document.body.classList.add('printing-report');
+      window.addEventListener('afterprint', () => {
+        root.remove();
+        document.body.classList.remove('printing-report');
+      }, { once: true });
+      window.print();
+    }
+  };
+
+  // ── Photos Module ──
+  //
+  // Pictures attached to a check-in, in the `photos` store (DB v5):
+  //   { id, entryUid, blob, thumb, type, width, height, createdAt }
+  // They are downscaled and re-encoded as JPEG before being stored, which
+  // also drops their EXIF metadata (location…). Photos stay on this device:
+  // sync only carries entries, and Vault does not encrypt them.
+
+  const Photos = {
+    MAX_SIZE: 1600,
+    THUMB_SIZE: 240,
+    QUALITY: 0.85,
+
+    // Picked file (or Blob) → record fields { blob, thumb, type, width, height }
+    async prepare(file) {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+      try {
+        const full = await this.resize(bitmap, this.MAX_SIZE);
+        const thumb = await this.resize(bitmap, this.THUMB_SIZE);
+        return { blob: full.blob, thumb: thumb.blob, type: 'image/jpeg', width: full.width, height: full.height };
+      } finally {
+        bitmap.close();
+      }
+    },
+
+    resize(bitmap, max) {
+      const ratio = Math.min(1, max / Math.max(bitmap.width, bitmap.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(bitmap.width * ratio));
+      canvas.height = Math.max(1, Math.round(bitmap.height * ratio));
+      const ctx = canvas.getContext('2d');
+      // JPEG has no transparency
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => {
+          if (blob) resolve({ blob, width: canvas.width, height: canvas.height });
+          else reject(new Error('Image encoding failed'));
+        }, 'image/jpeg', this.QUALITY);
+      });
+    },
+
+    // Button showing the thumbnail; opens the full photo
+    thumbnail(photo, n) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'photo-thumb';
+      btn.setAttribute('aria-label', t('photos.open', { n }));
+      const img = document.createElement('img');
+      img.alt = '';
+      img.src = URL.createObjectURL(photo.thumb);
+      img.onload = img.onerror = () => URL.revokeObjectURL(img.src);
+      btn.append(img);
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.view(photo);
+      });
+      return btn;
+    },
+
+    // Fill the `.photo-strip[data-uid]` placeholders under `root`
+    async fill(root) {
+      const strips = root.querySelectorAll('.photo-strip[data-uid]:not([data-filled])');
+      await Promise.all([...strips].map(async strip => {
+        strip.dataset.filled = '';
+        const photos = await DB.getPhotos(strip.dataset.uid);
+        strip.replaceChildren(...photos.map((photo, i) => this.thumbnail(photo, i + 1)));
+        strip.hidden = photos.length === 0;
+      }));
+    },
+
+    view(photo) {
+      const url = URL.createObjectURL(photo.blob);
+      const dialog = document.createElement('dialog');
+      dialog.className = 'photo-viewer';
+      dialog.setAttribute('aria-label', t('photos.viewer'));
+      dialog.innerHTML = `
+        <form method="dialog"><button class="photo-viewer-close" aria-label="${t('common.close')}">\u2715</button></form>
+        <img src="${url}" alt="" width="${photo.width}" height="${photo.height}">
+      `;
+      // A click on the backdrop closes it too
+      dialog.addEventListener('click', (e) => { if (e.target === dialog) dialog.close(); });
+      dialog.addEventListener('close', () => {
+        URL.revokeObjectURL(url);
+        dialog.remove();
+      });
+      document.body.append(dialog);
+      dialog.showModal();
+    }
+  };
+
+  // ── Drafts Module ──
+  //
+  // Unsaved Add forms, one per day, kept in the `meta` store so they outlive
+  // a tab switch or the app being killed in the background. Notes are sealed
+  // by Vault like those of entries. Writes are queued so a late save cannot
+  // bring back a draft that was just cleared.
+
+  const Drafts = {
+    KEY: 'drafts',
+    queue: Promise.resolve(),
+
+    // { id, mood, scale, time, note, tags, savedAt }; `id` is the check-in
+    // being edited, null for a new one
+    async get(date) {
+      await this.queue;
+      const draft = ((await DB.getMeta(this.KEY)) || {})[date];
+      return draft && Vault.open(draft);
+    },
+
+    save(date, draft) {
+      return this.change(async drafts => {
+        drafts[date] = await Vault.seal({ ...draft, savedAt: Date.now() });
+      });
+    },
+
+    clear(date) {
+      return this.change(drafts => { delete drafts[date]; });
+    },
+
+    change(fn) {
+      this.queue = this.queue.then(async () => {
+        const drafts = (await DB.getMeta(this.KEY)) || {};
+        await fn(drafts);
+        await DB.setMeta(this.KEY, drafts);
+      }).catch(err => console.warn('Draft not saved:', err));
+      return this.queue;
+    }
+  };
+
+  // ── Tags Module ──
+  //
+  // User-defined activity tags. The list of choices lives in localStorage;
+  // each entry stores the names it was tagged with in `tags`.
+
+  const Tags = {
+    STORAGE_KEY: 'tags',
+
+    // Suggested until the list is first changed, in the current language
+    defaults() {
+      return I18n.list('tags.defaults');
+    },
+
+    getAll() {
+      try {
+        const tags = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+        return Array.isArray(tags) ? tags : this.defaults();
+      } catch (_) {
+        return this.defaults();
+      }
+    },
+
+    save(tags) {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(tags));
+    },
+
+    // Commas are reserved as the separator in CSV exports
+    normalize(name) {
+      return String(name).replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+    },
+
+    // Returns the stored spelling of the tag (existing match wins)
+    add(name) {
+      const tag = this.normalize(name);
+      if (!tag) return null;
+      const tags = this.getAll();
+      const existing = tags.find(t => t.toLowerCase() === tag.toLowerCase());
+      if (existing) return existing;
+      this.save([...tags, tag]);
+      return tag;
+    }
+  };
+
+  // ── History List Module ──
+  //
+  // Infinite, windowed list for the History view. Pages are fetched with
+  // DB.getLatest() as the bottom sentinel scrolls into view (or sliced from
+  // the search results when filters are active). Only
+  // MAX_RENDERED pages stay in the DOM; pages scrolled far away are replaced
+  // by spacers of their measured height and re-rendered from memory when the
+  // user scrolls back.
+
+  const HistoryList = {
+    PAGE_SIZE: 30,
+    MAX_RENDERED: 3,
+
+    container: null,
+    observer: null,
+    pages: [],       // loaded pages: arrays of entries, newest first
+    bounds: [],      // `before` each page was fetched with
+    heights: [],     // measured height of each page while it was rendered
+    first: 0,        // index of the first rendered page
+    last: -1,        // index of the last rendered page
+    nextBefore: null,
+    done: false,
+    loading: false,
+    generation: 0,
+
+    // Survives re-renders so the filters are still set when coming back
+    // from editing an entry
+    filters: { query: '', moods: [], from: '', to: '' },
+
+    hasFilters() {
+      const f = this.filters;
+      return !!(f.query.trim() || f.moods.length || f.from || f.to);
+    },
+
+    searchTerms() {
+      return foldText(this.filters.query).text.split(/\s+/).filter(Boolean);
+    },
+
+    // All check-ins matching the filters, newest first. Notes are matched
+    // accent- and case-insensitively; every term must appear.
+    async search() {
+      const { moods, from, to } = this.filters;
+      const terms = this.searchTerms();
+      const entries = await DB.getRange(from || '0000-01-01', to || '9999-12-31');
+      return entries
+        .filter(e => moods.length === 0 || moods.includes(e.mood))
+        .filter(e => {
+          if (terms.length === 0) return true;
+          const note = foldText(e.note || '').text;
+          return terms.every(t => note.includes(t));
+        })
+        .reverse();
+    },
+
+    // Resolves with the number of results when filtering, null otherwise,
+    // false when there is nothing to show, or undefined when a newer load()
+    // started in the meantime (typing in the search box)
+    async load(container, renderCard) {
+      const generation = ++this.generation;
+      if (!this.hasFilters()) {
+        const ok = await this.init(container, renderCard, before => DB.getLatest(this.PAGE_SIZE, before));
+        if (ok === undefined) return undefined;
+        return ok ? null : false;
+      }
+      const matches = await this.search();
+      if (generation !== this.generation) return undefined;
+      // Page through the results in memory; `before` is an offset here
+      await this.init(container, renderCard, offset => {
+        const start = offset || 0;
+        const end = start + this.PAGE_SIZE;
+        return { entries: matches.slice(start, end), nextBefore: end < matches.length ? end : null };
+      });
+      return matches.length;
+    },
+
+    async init(container, renderCard, fetcher) {
+      this.destroy();
+      this.container = container;
+      this.renderCard = renderCard;
+      this.fetcher = fetcher;
+      this.pages = [];
+      this.bounds = [];
+      this.heights = [];
+      this.first = 0;
+      this.last = -1;
+      this.nextBefore = null;
+      this.done = false;
+
+      container.innerHTML = `
+        <div class="history-spacer" data-spacer="top"></div>
+        <div class="history-pages"></div>
+        <div class="history-spacer" data-spacer="bottom"></div>
+        <div class="history-sentinel" aria-hidden="true"></div>
+      `;
+      this.pagesEl = container.querySelector('.history-pages');
+      this.topSpacer = container.querySelector('[data-spacer="top"]');
+      this.bottomSpacer = container.querySelector('[data-spacer="bottom"]');
+
+      if (!(await this.fetchPage())) return undefined;
+      if (this.pages[0].length === 0) return false;
+      this.appendPage();
+
+      this.observer = new IntersectionObserver(items => {
+        items.forEach(item => {
+          if (!item.isIntersecting) return;
+          if (item.target === this.topSpacer) this.showPrevious();
+          else this.showNext();
+        });
+      }, { rootMargin: '600px 0px' });
+      this.observer.observe(this.topSpacer);
+      this.observer.observe(container.querySelector('.history-sentinel'));
+      return true;
+    },
+
+    destroy() {
+      if (this.observer) this.observer.disconnect();
+      this.observer = null;
+    },
+
+    // Returns false if the list was re-initialised while fetching
+    async fetchPage() {
+      const fetcher = this.fetcher;
+      const before = this.nextBefore;
+      const { entries, nextBefore } = await fetcher(before);
+      if (fetcher !== this.fetcher) return false;
+      this.pages.push(entries);
+      this.bounds.push(before);
+      this.nextBefore = nextBefore;
+      this.done = nextBefore === null;
+      return true;
+    },
+
+    async showNext() {
+      if (this.loading) return;
+      this.loading = true;
+      try {
+        if (this.last === this.pages.length - 1) {
+          if (this.done || !(await this.fetchPage())) return;
+        }
+        this.appendPage();
+      } finally {
+        this.loading = false;
+      }
+      this.recheck(this.container.querySelector('.history-sentinel'));
+    },
+
+    showPrevious() {
+      if (this.first === 0) return;
+      this.first--;
+      this.pagesEl.prepend(this.renderPage(this.first));
+      if (this.last - this.first + 1 > this.MAX_RENDERED) this.unrenderLast();
+      this.updateSpacers();
+      this.recheck(this.topSpacer);
+    },
+
+    // An observed element that stays in view fires no new event; observing
+    // it again delivers a fresh entry so long jumps keep loading pages.
+    recheck(el) {
+      if (!this.observer) return;
+      this.observer.unobserve(el);
+      this.observer.observe(el);
+    },
+
+    appendPage() {
+      this.last++;
+      this.pagesEl.append(this.renderPage(this.last));
+      if (this.last - this.first + 1 > this.MAX_RENDERED) this.unrenderFirst();
+      this.updateSpacers();
+    },
+
+    renderPage(index) {
+      const page = document.createElement('div');
+      page.className = 'history-page';
+      page.dataset.page = index;
+      page.innerHTML = this.pages[index].map(e => this.renderCard(e)).join('');
+      Photos.fill(page);
+      return page;
+    },
+
+    pageEl(index) {
+      return this.pagesEl.querySelector(`.history-page[data-page="${index}"]`);
+    },
+
+    unrenderFirst() {
+      const el = this.pageEl(this.first);
+      this.heights[this.first] = el.offsetHeight;
+      el.remove();
+      this.first++;
+    },
+
+    unrenderLast() {
+      const el = this.pageEl(this.last);
+      this.heights[this.last] = el.offsetHeight;
+      el.remove();
+      this.last--;
+    },
+
+    updateSpacers() {
+      const sum = (from, to) => this.heights.slice(from, to).reduce((a, h) => a + (h || 0), 0);
+      this.topSpacer.style.height = `${sum(0, this.first)}px`;
+      this.bottomSpacer.style.height = `${sum(this.last + 1, this.pages.length)}px`;
+    },
+
+    // Drop a deleted check-in from memory; returns true if the list is now empty
+    remove(id) {
+      this.pages = this.pages.map(page => page.filter(e => e.id !== id));
+      return this.done && this.pages.every(page => page.length === 0);
+    },
+
+    // Index of the loaded page a date belongs to, -1 if not loaded yet. Page
+    // i holds the days from bounds[i + 1] (inclusive) up to bounds[i].
+    pageOf(date) {
+      for (let i = 0; i < this.pages.length; i++) {
+        const upper = this.bounds[i];
+        const lower = i + 1 < this.pages.length ? this.bounds[i + 1] : (this.done ? '' : this.nextBefore);
+        if ((upper === null || date < upper) && date >= lower) return i;
+      }
+      return -1;
+    },
+
+    // Read the check-ins of `dates` again and re-render the pages showing
+    // them, without moving the scroll position. Returns false when the list
+    // has to be reloaded instead: filtered results are paged by offset, and
+    // an empty list has no pages yet.
+    async refreshDates(dates) {
+      if (this.hasFilters() || !this.observer) return false;
+      const fetcher = this.fetcher;
+      const touched = new Set();
+      for (const date of dates) {
+        const index = this.pageOf(date);
+        if (index === -1) continue;
+        const entries = await DB.getByDate(date);
+        if (fetcher !== this.fetcher) return true;
+        this.pages[index] = [...this.pages[index].filter(e => e.date !== date), ...entries]
+          .sort((a, b) => compareEntries(b, a));
+        touched.add(index);
+      }
+      if (this.done && this.pages.every(page => page.length === 0)) return false;
+      touched.forEach(index => {
+        const el = index >= this.first && index <= this.last && this.pageEl(index);
+        if (el) el.replaceWith(this.renderPage(index));
+      });
+      return true;
+    }
+  };
+
+  // ── Backup Module ──
+  //
+  // Export/import of the whole journal. JSON backups are versioned so future
+  // schema changes can still read old files; CSV is for spreadsheets.
+  //   v1 — one entry per date
+  //   v2 — several check-ins per date, each with `uid` and `time`
+  //        (optional `tags` array)
+
+  const Backup = {
+    FORMAT: 'mood-journal-backup',
+    VERSION: 3,
+    // File type of JSON backups, the one the installed app opens
+    // (file_handlers in manifest.json)
+    EXTENSION: '.moodjournal',
+    MIME_TYPE: 'application/vnd.mood-journal+json',
+    // `note_cipher`: a note sealed with a key this device doesn't hold, as JSON
+    CSV_COLUMNS: ['date', 'time', 'mood', 'label', 'tags', 'note', 'scale', 'note_cipher'],
+    DEFAULT_TIME: '12:00',
+
+    // Photos go along as base64, with their thumbnail
+    async exportJSON() {
+      const entries = await DB.getAll();
+      entries.sort(compareEntries);
+      const photos = new Map();
+      for (const photo of await DB.getAllPhotos()) {
+        if (!photos.has(photo.entryUid)) photos.set(photo.entryUid, []);
+        photos.get(photo.entryUid).push(await this.encodePhoto(photo));
+      }
+      return JSON.stringify({
+        format: this.FORMAT,
+        version: this.VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: entries.map(e => ({
+          uid: e.uid,
+          date: e.date,
+          time: e.time,
+          mood: e.mood,
+          scale: Scale.points,
+          ...(e.noteUnreadable ? { noteCipher: e.noteCipher } : { note: e.note || '' }),
+          tags: e.tags || [],
+          timestamp: e.timestamp,
+          ...(photos.has(e.uid) ? { photos: photos.get(e.uid) } : {})
+        }))
+      }, null, 2);
+    },
+
+    async encodePhoto(photo) {
+      return {
+        type: photo.type,
+        width: photo.width,
+        height: photo.height,
+        data: Vault.toBase64(await photo.blob.arrayBuffer()),
+        thumb: Vault.toBase64(await photo.thumb.arrayBuffer())
+      };
+    },
+
+    // Throws on anything that isn't a base64 image
+    decodePhoto(item) {
+      if (!item || typeof item.data !== 'string' || !/^image\/[\w.+-]+$/.test(item.type)) {
+        throw new Error('Invalid photo');
+      }
+      return {
+        blob: new Blob([Vault.fromBase64(item.data)], { type: item.type }),
+        thumb: typeof item.thumb === 'string' ? new Blob([Vault.fromBase64(item.thumb)], { type: 'image/jpeg' }) : null,
+        type: item.type,
+        width: Number(item.width) || 0,
+        height: Number(item.height) || 0
+      };
+    },
+
+    async exportEncrypted(passphrase) {
+      return JSON.stringify({
+        format: this.FORMAT,
+        version: this.VERSION,
+        exportedAt: new Date().toISOString(),
+        encrypted: await Vault.encryptWithPassphrase(await this.exportJSON(), passphrase)
+      }, null, 2);
+    },
+
+    isEncrypted(text) {
+      try {
+        const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        return !!(data && data.format === this.FORMAT && data.encrypted);
+      } catch (_) {
+        return false;
+      }
+    },
+
+    // Returns the inner plain JSON backup; rejects on a wrong passphrase
+    decryptBackup(text, passphrase) {
+      const { encrypted } = JSON.parse(text.replace(/^\uFEFF/, ''));
+      return Vault.decryptWithPassphrase(encrypted, passphrase);
+    },
+
+    async exportCSV() {
+      const entries = await DB.getAll();
+      entries.sort(compareEntries);
+      const rows = entries.map(e => [
+        e.date, e.time, e.mood, Scale.label(e.mood), (e.tags || []).join(', '), e.note || '', Scale.points,
+        e.noteUnreadable ? JSON.stringify(e.noteCipher) : ''
+      ]);
+      // BOM so spreadsheet apps detect UTF-8 (accents in labels and notes)
+      return '\uFEFF' + [this.CSV_COLUMNS, ...rows].map(r => r.map(this.csvCell).join(',')).join('\r\n');
+    },
+
+    csvCell(value) {
+      const str = String(value);
+      return /[",;\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    },
+
+    // RFC 4180 parser: quoted fields, escaped quotes, newlines inside quotes
+    parseCSV(text, delimiter) {
+      const rows = [];
+      let row = [];
+      let field = '';
+      let inQuotes = false;
+
+      for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (inQuotes) {
+          if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+          else if (c === '"') inQuotes = false;
+          else field += c;
+        } else if (c === '"') {
+          inQuotes = true;
+        } else if (c === delimiter) {
+          row.push(field);
+          field = '';
+        } else if (c === '\n' || c === '\r') {
+          if (c === '\r' && text[i + 1] === '\n') i++;
+          row.push(field);
+          rows.push(row);
+          row = [];
+          field = '';
+        } else {
+          field += c;
+        }
+      }
+      if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+      }
+      return rows.filter(r => r.some(cell => cell.trim() !== ''));
+    },
+
+    // Returns { rows, errors }: rows are normalised entries, errors carry the
+    // 1-based line/index of each rejected record for the preview.
+    parse(text, filename) {
+      text = text.replace(/^\uFEFF/, '');
+      return this.isJSON(text, filename) ? this.parseJSON(text) : this.parseCSVFile(text);
+    },
+
+    isJSON(text, filename) {
+      return /\.json$/i.test(filename) || filename.toLowerCase().endsWith(this.EXTENSION) ||
+        /^\s*[{[]/.test(text.replace(/^\uFEFF/, ''));
+    },
+
+    parseJSON(text) {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (_) {
+        return { rows: [], errors: [{ line: 0, message: t('backup.unreadableJSON') }] };
+      }
+      // Accept a bare array as well as the versioned envelope
+      const list = Array.isArray(data) ? data : data && data.entries;
+      if (!Array.isArray(list)) {
+        return { rows: [], errors: [{ line: 0, message: t('backup.noEntries') }] };
+      }
+      if (!Array.isArray(data) && data.version > this.VERSION) {
+        return { rows: [], errors: [{ line: 0, message: t('backup.newerVersion') }] };
+      }
+      return this.collect(list.map((item, i) => [i + 1, item]));
+    },
+
+    // First row (trimmed, lower-cased column names) and the others.
+    // Semicolons are the delimiter when the first line has more of them
+    // than commas (spreadsheets in French locales).
+    readTable(text) {
+      text = text.replace(/^\uFEFF/, '');
+      const firstLine = text.split(/\r?\n/, 1)[0];
+      const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+      const [header = [], ...body] = this.parseCSV(text, delimiter);
+      return { header: header.map(h => h.trim().toLowerCase()), body };
+    },
+
+    // Our own export, as opposed to the CSV of another app (see Importers)
+    isBackupCSV({ header }) {
+      return header.includes('date') && (header.includes('mood') || header.includes('label'));
+    },
+
+    parseCSVFile(text) {
+      const table = this.readTable(text);
+      if (!this.isBackupCSV(table)) {
+        return { rows: [], errors: [{ line: 1, message: t('backup.csvHeader') }] };
+      }
+      return this.collect(table.body.map((cells, i) => {
+        const record = {};
+        table.header.forEach((col, j) => { record[col] = (cells[j] || '').trim(); });
+        return [i + 2, record];
+      }));
+    },
+
+    collect(items) {
+      const rows = [];
+      const errors = [];
+      const seen = new Set();
+      for (const [line, item] of items) {
+        const result = this.validate(item);
+        if (typeof result === 'string') {
+          errors.push({ line, message: result });
+        } else if (seen.has(this.rowKey(result))) {
+          errors.push({ line, message: t('backup.duplicate', { entry: `${result.date}${result.time ? ' ' + result.time : ''}` }) });
+        } else {
+          seen.add(this.rowKey(result));
+          rows.push(result);
+        }
+      }
+      return { rows, errors };
+    },
+
+    // Returns a normalised entry, or an error message
+    validate(item) {
+      if (!item || typeof item !== 'object') return t('backup.invalidLine');
+      const date = String(item.date || '').trim();
+      if (!isValidDate(date)) return t('backup.invalidDate', { date });
+
+      // Moods are read on the scale of the file (five points for files
+      // from before `scale` existed), a label on the current one
+      let scale = item.scale === undefined || item.scale === '' ? 5 : Number(item.scale);
+      let mood = Number(item.mood);
+      if (item.mood === undefined || item.mood === '') {
+        mood = Scale.labels.findIndex(l => l.toLowerCase() === String(item.label || '').toLowerCase()) + 1;
+        scale = Scale.points;
+      }
+      if (!Scale.PRESETS[scale]) return t('backup.invalidScale', { date });
+      if (!Number.isInteger(mood) || mood < 1 || mood > scale) {
+        return t('backup.invalidMood', { date });
+      }
+
+      const time = String(item.time || '').trim();
+      if (time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+        return t('backup.invalidTime', { date, time });
+      }
+
+      // Array in JSON, comma-separated in CSV
+      const rawTags = Array.isArray(item.tags) ? item.tags : String(item.tags || '').split(',');
+      const tags = [...new Set(rawTags.map(t => Tags.normalize(t)).filter(Boolean))];
+
+      // JSON only; `photos` stays undefined when the file has none, so
+      // importing it leaves the entry's photos alone
+      let photos;
+      if (Array.isArray(item.photos)) {
+        try {
+          photos = item.photos.map(p => this.decodePhoto(p));
+        } catch (_) {
+          return t('backup.invalidPhotos', { date });
+        }
+      }
+
+      // Note sealed with a key this device doesn't hold: kept as it is.
+      // An object in JSON, JSON text in CSV.
+      let noteCipher = item.noteCipher || item.note_cipher || undefined;
+      if (typeof noteCipher === 'string') {
+        try {
+          noteCipher = JSON.parse(noteCipher);
+        } catch (_) {
+          return t('backup.invalidNote', { date });
+        }
+      }
+      if (noteCipher !== undefined &&
+          !(noteCipher && ['kid', 'iv', 'data'].every(k => typeof noteCipher[k] === 'string'))) {
+        return t('backup.invalidNote', { date });
+      }
+
+      const timestamp = Number(item.timestamp);
+      const note = String(item.note || '').trim();
+      return {
+        uid: typeof item.uid === 'string' && item.uid ? item.uid : null,
+        date,
+        time: time || null,
+        mood: Scale.convert(mood, scale),
+        note,
+        noteCipher: note ? undefined : noteCipher,
+        tags,
+        photos,
+        timestamp: Number.isFinite(timestamp) && timestamp > 0 ? timestamp : null
+      };
+    },
+
+    rowKey(row) {
+      return row.uid || `${row.date} ${row.time || ''}`;
+    },
+
+    // The local check-in an imported row refers to: same uid, else same date
+    // and time. Rows without a time (v1 backups) match the day's migrated
+    // v1 entry, whose uid is its date.
+    findMatch(row, entries) {
+      if (row.uid) return entries.find(e => e.uid === row.uid);
+      if (row.time) return entries.find(e => e.date === row.date && e.time === row.time);
+      return entries.find(e => e.uid === row.date);
+    },
+
+    // Classify imported rows against the journal:
+    //   new       — no matching check-in yet
+    //   changed   — differs, and the backup is at least as recent as the entry
+    //   conflicts — differs, and the entry was edited after the backup (or the
+    //               file carries no timestamps, as with CSV)
+    // Matched rows get the local `id` attached so apply() updates in place.
+    async preview(rows) {
+      // Tombstones included: re-importing a deleted check-in must reuse its row
+      const entries = await DB.getAll({ includeDeleted: true });
+      // Photos are compared by their sizes
+      const photoSizes = new Map();
+      (await DB.getAllPhotos()).sort((a, b) => a.id - b.id).forEach(p => {
+        photoSizes.set(p.entryUid, [...(photoSizes.get(p.entryUid) || []), p.blob.size]);
+      });
+      const result = { new: [], changed: [], conflicts: [], unchanged: [] };
+      for (const row of rows) {
+        const local = this.findMatch(row, entries);
+        if (!local || local.deleted) {
+          result.new.push(local ? { ...row, id: local.id, uid: local.uid } : row);
+          continue;
+        }
+        const matched = { ...row, id: local.id, uid: local.uid, time: row.time || local.time };
+        const sameTags = [...(local.tags || [])].sort().join() === [...row.tags].sort().join();
+        const samePhotos = !row.photos || row.photos.map(p => p.blob.size).join() === (photoSizes.get(local.uid) || []).join();
+        if (local.mood === row.mood && (local.note || '') === row.note && sameTags && samePhotos) result.unchanged.push(matched);
+        else if (row.timestamp && row.timestamp >= local.timestamp) result.changed.push(matched);
+        else result.conflicts.push(matched);
+      }
+      return result;
+    },
+
+    // mode 'merge' keeps local entries on conflicts, 'overwrite' lets the
+    // file win everywhere. Returns the number of entries written.
+    async apply(preview, mode) {
+      const rows = [...preview.new, ...preview.changed];
+      if (mode === 'overwrite') rows.push(...preview.conflicts);
+      for (const row of rows) {
+        const time = row.time || (row.timestamp ? formatTime(new Date(row.timestamp)) : this.DEFAULT_TIME);
+        const entry = { date: row.date, time, mood: row.mood, note: row.note, tags: row.tags, timestamp: Date.now(), synced: false };
+        if (row.noteCipher) {
+          delete entry.note;
+          entry.noteCipher = { kid: row.noteCipher.kid, iv: row.noteCipher.iv, data: row.noteCipher.data };
+        }
+        row.tags.forEach(tag => Tags.add(tag));
+        if (row.id != null) entry.id = row.id;
+        entry.uid = row.uid || crypto.randomUUID();
+        // Fresh timestamp so the imported version wins on the next sync
+        await DB.put(entry);
+        if (row.photos) await this.applyPhotos(entry.uid, row.photos);
+      }
+      return rows.length;
+    },
+
+    // The file's photos replace those of the entry
+    async applyPhotos(uid, photos) {
+      const records = [];
+      for (const photo of photos) {
+        const thumb = photo.thumb || (await Photos.prepare(photo.blob)).thumb;
+        records.push({ ...photo, thumb, entryUid: uid, createdAt: Date.now() });
+      }
+      const existing = await DB.getPhotos(uid);
+      await DB.putPhotos(records, existing.map(p => p.id));
+    }
+  };
+
+  // ── Importers ──
+  //
+  // CSV files of other mood trackers. An adapter turns the file's table
+  // (Backup.readTable) into records Backup.validate() accepts, so the dry
+  // run is Backup.preview() and the import Backup.apply(), which writes
+  // each check-in with DB.put() as not synced yet. Foreign moods are mapped
+  // onto the current scale through options the user can edit:
+  //   detect(table)          → whether the file looks like this format
+  //   options(table)         → mapping guessed from the file
+  //   renderOptions(table, options) / readOptions(form)  → mapping form
+  //   read(table, options)   → [line, record or error message] pairs
+
+  const Importers = {
+    DATE_FORMATS: ['ymd', 'dmy', 'mdy'],
+
+    // Adapter for the file, or null for one of our own CSV backups. Daylio
+    // comes first as its export also has `date` and `mood` columns.
+    detect(table) {
+      const adapter = this.adapters.find(a => a.detect(table));
+      return adapter.id === 'generic' && Backup.isBackupCSV(table) ? null : adapter;
+    },
+
+    get(id) {
+      return this.adapters.find(a => a.id === id);
+    },
+
+    // Same shape as Backup.parse(), with the adapter's rejections first
+    run(adapter, table, options) {
+      const errors = [];
+      const items = [];
+      for (const [line, record] of adapter.read(table, options)) {
+        if (typeof record === 'string') errors.push({ line, message: record });
+        else items.push([line, record]);
+      }
+      const result = Backup.collect(items);
+      return { rows: result.rows, errors: [...errors, ...result.errors].sort((a, b) => a.line - b.line) };
+    },
+
+    // "8:31 PM", "20:31", "20:31:05" → "20:31". Anything else is returned
+    // as it is for Backup.validate() to reject.
+    parseTime(str) {
+      const raw = str.trim();
+      const m = /^(\d{1,2})[:h](\d{2})(?::\d{2})?\s*([ap])?\.?m?\.?$/i.exec(raw);
+      if (!m) return raw;
+      let hours = Number(m[1]);
+      if (m[3]) {
+        if (hours < 1 || hours > 12) return raw;
+        hours = hours % 12 + (m[3].toLowerCase() === 'p' ? 12 : 0);
+      }
+      return hours > 23 ? raw : `${String(hours).padStart(2, '0')}:${m[2]}`;
+    },
+
+    // "14/05/2024 20:31" with format 'dmy' → { date: '2024-05-14', time: '20:31' }.
+    // An unreadable date is returned as it is, like parseTime().
+    parseDate(str, format) {
+      const [day, rest = ''] = str.trim().split(/[T ]+(.*)/);
+      const parts = day.split(/[-/.]/);
+      if (parts.length !== 3 || !parts.every(p => /^\d+$/.test(p))) return { date: str.trim(), time: null };
+      const [y, m, d] = format === 'ymd' ? parts : format === 'dmy' ? [parts[2], parts[1], parts[0]] : [parts[2], parts[0], parts[1]];
+      const year = y.length === 2 ? `20${y}` : y;
+      const time = rest.replace(/(Z|[+-]\d{2}:?\d{2})$/i, '');
+      return { date: `${year}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`, time: time ? this.parseTime(time) : null };
+    },
+
+    // A day above 12 tells day-first from month-first; else the locale does
+    guessDateFormat(values) {
+      const parts = values.map(v => v.trim().split(/[T ]/)[0].split(/[-/.]/).map(Number)).filter(p => p.length === 3);
+      if (parts.some(p => String(p[0]).length === 4)) return 'ymd';
+      if (parts.some(p => p[0] > 12)) return 'dmy';
+      if (parts.some(p => p[1] > 12)) return 'mdy';
+      return /-US$/.test(navigator.language) ? 'mdy' : 'dmy';
+    },
+
+    // <option>s of the current scale, plus "not imported" (0)
+    moodOptions(selected) {
+      return `
+        <option value="0"${selected ? '' : ' selected'}>${t('import.unmapped')}</option>
+        ${Scale.emojis.map((emoji, i) => `
+          <option value="${i + 1}"${selected === i + 1 ? ' selected' : ''}>${emoji} ${escapeHtml(Scale.labels[i])}</option>
+        `).join('')}
+      `;
+    },
+
+    adapters: [
+      // Daylio: full_date,date,weekday,time,mood,activities,note_title,note
+      // (older exports have `year` and a "May 14" `date` instead of
+      // `full_date`). Moods are the names of the user's moods; the five
+      // default ones are mapped, others have to be picked in the form.
+      {
+        id: 'daylio',
+        MOODS: { awful: 1, bad: 2, meh: 3, good: 4, rad: 5 },
+
+        detect({ header }) {
+          return ['mood', 'activities', 'time'].every(col => header.includes(col)) &&
+            (header.includes('full_date') || header.includes('year'));
+        },
+
+        options({ header, body }) {
+          const col = header.indexOf('mood');
+          const names = [...new Set(body.map(cells => (cells[col] || '').trim().toLowerCase()).filter(Boolean))];
+          const moods = {};
+          names.forEach(name => { moods[name] = this.MOODS[name] ? Scale.convert(this.MOODS[name], 5) : 0; });
+          return { moods };
+        },
+
+        renderOptions(table, { moods }) {
+          return `
+            <fieldset class="importer-mapping">
+              <legend>${t('import.moodMapping')}</legend>
+              ${Object.entries(moods).map(([name, mood], i) => `
+                <div class="reminder-row">
+                  <label for="daylio-mood-${i}">${escapeHtml(name)}</label>
+                  <select id="daylio-mood-${i}" data-mood-name="${escapeHtml(name)}">${Importers.moodOptions(mood)}</select>
+                </div>
+              `).join('')}
+            </fieldset>
+          `;
+        },
+
+        readOptions(form) {
+          const moods = {};
+          form.querySelectorAll('[data-mood-name]').forEach(select => { moods[select.dataset.moodName] = Number(select.value); });
+          return { moods };
+        },
+
+        read({ header, body }, { moods }) {
+          const cell = (cells, col) => (header.includes(col) ? cells[header.indexOf(col)] || '' : '').trim();
+          return body.map((cells, i) => {
+            const name = cell(cells, 'mood').toLowerCase();
+            if (!moods[name]) return [i + 2, t('import.unmappedMood', { mood: name })];
+            let date = cell(cells, 'full_date');
+            if (!date) {
+              const d = new Date(`${cell(cells, 'date')} ${cell(cells, 'year')}`);
+              date = isNaN(d) ? `${cell(cells, 'year')} ${cell(cells, 'date')}` : formatDate(d);
+            }
+            // Line breaks in notes are written as <br>
+            const note = [cell(cells, 'note_title'), cell(cells, 'note').replace(/<br\s*\/?>/gi, '\n')]
+              .filter(Boolean).join('\n');
+            return [i + 2, {
+              date,
+              time: Importers.parseTime(cell(cells, 'time')),
+              mood: moods[name],
+              scale: Scale.points,
+              note,
+              tags: cell(cells, 'activities').split('|')
+            }];
+          });
+        }
+      },
+
+      // Any other CSV, e.g. "date, score, note": the user picks the columns,
+      // how dates are written and the range of the scores, which is spread
+      // evenly over the current scale
+      {
+        id: 'generic',
+        COLUMNS: {
+          date: /date|day|jour/,
+          time: /^(time|hour|heure)$/,
+          score: /mood|score|rating|humeur|value|valeur|level|niveau/,
+          note: /note|comment|text|journal|memo/,
+          tags: /tag|activit|étiquette/
+        },
+
+        detect() {
+          return true;
+        },
+
+        // Columns found by name, else in the "date, score, note" order
+        options({ header, body }) {
+          const hasHeader = header.length > 0 && !isValidDate(Importers.parseDate(header[0], 'ymd').date) &&
+            !/^\d/.test(header[0]);
+          const find = (name) => header.findIndex(h => this.COLUMNS[name].test(h));
+          const columns = {};
+          Object.keys(this.COLUMNS).forEach(name => { columns[name] = hasHeader ? find(name) : -1; });
+          if (columns.date === -1) columns.date = 0;
+          if (columns.score === -1) columns.score = header.length > 1 ? 1 : 0;
+          if (columns.note === -1 && !hasHeader && header.length > 2) columns.note = 2;
+
+          const rows = hasHeader ? body : [header, ...body];
+          const scores = rows.map(cells => Number(String(cells[columns.score] || '').replace(',', '.')))
+            .filter(Number.isFinite);
+          const low = scores.length ? Math.min(...scores) : 1;
+          const high = scores.length ? Math.max(...scores) : 5;
+          return {
+            hasHeader,
+            columns,
+            dateFormat: Importers.guessDateFormat(rows.map(cells => cells[columns.date] || '')),
+            min: low >= 1 ? 1 : Math.floor(low),
+            max: high <= 5 ? 5 : high <= 10 ? 10 : high <= 100 ? 100 : Math.ceil(high)
+          };
+        },
+
+        renderOptions({ header, body }, o) {
+          const sample = o.hasHeader ? body[0] || [] : header;
+          const columnSelect = (name) => `
+            <div class="reminder-row">
+              <label for="generic-${name}">${t(`import.column.${name}`)}</label>
+              <select id="generic-${name}" data-column="${name}">
+                ${name === 'date' || name === 'score' ? '' : `<option value="-1">${t('import.noColumn')}</option>`}
+                ${header.map((h, i) => `
+                  <option value="${i}"${o.columns[name] === i ? ' selected' : ''}>${escapeHtml(o.hasHeader ? h : t('import.columnN', { n: i + 1 }))}${sample[i] ? ` (${escapeHtml(sample[i].slice(0, 20))})` : ''}</option>
+                `).join('')}
+              </select>
+            </div>
+          `;
+          return `
+            <fieldset class="importer-mapping">
+              <legend>${t('import.columns')}</legend>
+              <label class="importer-header"><input type="checkbox" id="generic-header"${o.hasHeader ? ' checked' : ''}> ${t('import.hasHeader')}</label>
+              ${Object.keys(this.COLUMNS).map(columnSelect).join('')}
+              <div class="reminder-row">
+                <label for="generic-date-format">${t('import.dateFormat')}</label>
+                <select id="generic-date-format">
+                  ${Importers.DATE_FORMATS.map(f => `<option value="${f}"${f === o.dateFormat ? ' selected' : ''}>${t(`import.dateFormat.${f}`)}</option>`).join('')}
+                </select>
+              </div>
+              <div class="reminder-row">
+                <label for="generic-min">${t('import.scoreMin')}</label>
+                <input type="number" id="generic-min" value="${o.min}" step="any" required>
+                <label for="generic-max">${t('import.scoreMax')}</label>
+                <input type="number" id="generic-max" value="${o.max}" step="any" required>
+              </div>
+            </fieldset>
+          `;
+        },
+
+        readOptions(form) {
+          const columns = {};
+          form.querySelectorAll('[data-column]').forEach(select => { columns[select.dataset.column] = Number(select.value); });
+          return {
+            hasHeader: form.querySelector('#generic-header').checked,
+            columns,
+            dateFormat: form.querySelector('#generic-date-format').value,
+            min: Number(form.querySelector('#generic-min').value),
+            max: Number(form.querySelector('#generic-max').value)
+          };
+        },
+
+        read({ header, body }, { hasHeader, columns, dateFormat, min, max }) {
+          const rows = hasHeader ? body : [header, ...body];
+          const first = hasHeader ? 2 : 1;
+          const cell = (cells, name) => (columns[name] >= 0 ? cells[columns[name]] || '' : '').trim();
+          return rows.map((cells, i) => {
+            const raw = cell(cells, 'score');
+            const score = Number(raw.replace(',', '.'));
+            if (raw === '' || !Number.isFinite(score) || !(max > min) || score < min || score > max) {
+              return [i + first, t('import.invalidScore', { score: raw, min, max })];
+            }
+            const { date, time } = Importers.parseDate(cell(cells, 'date'), dateFormat);
+            return [i + first, {
+              date,
+              time: cell(cells, 'time') ? Importers.parseTime(cell(cells, 'time')) : time,
+              mood: 1 + Math.round((score - min) / (max - min) * (Scale.points - 1)),
+              scale: Scale.points,
+              note: cell(cells, 'note'),
+              tags: cell(cells, 'tags')
+            }];
+          });
+        }
+      }
+    ]
+  };
+
+  // ── Notifications Module ──
+
+  const Notifications = {
+    // Must match sw.js
+    TAG: 'mood-reminder',
+    PERIODIC_TAG: 'mood-reminders',
+    CHECK_INTERVAL: 30000,
+    TRIGGER_DAYS: 7,
+    intervalId: null,
+    reminders: [], // [{ id, time: 'HH:MM', days: [0..6] }], Monday = 0
+    mode: 'page',  // how reminders reach the user: 'trigger' | 'periodic' | 'page'
+
+    async requestPermission() {
+      if (!('Notification' in window)) return false;
+      if (Notification.permission === 'granted') return true;
+      const result = await Notification.requestPermission();
+      return result === 'granted';
+    },
+
+    async init() {
+      await this.migrateLegacy();
+      this.reminders = await this.load();
+      this.schedule().catch(err => console.warn('Reminder scheduling failed:', err));
+      this.showBannerIfNeeded();
+    },
+
+    // Reminders live in IndexedDB so the service worker can read them.
+    // The single `reminderTime` of earlier versions becomes a daily reminder.
+    async migrateLegacy() {
+      const time = localStorage.getItem('reminderTime');
+      if (!time) return;
+      const reminders = await this.load();
+      if (!reminders.some(r => r.time === time)) {
+        reminders.push({ id: crypto.randomUUID(), time, days: [0, 1, 2, 3, 4, 5, 6] });
+        await DB.setMeta('reminders', reminders);
+      }
+      const last = localStorage.getItem('lastNotificationDate');
+      if (last) await this.markShown(reminders.map(r => r.id), last);
+      localStorage.removeItem('reminderTime');
+      localStorage.removeItem('lastNotificationDate');
+    },
+
+    async load() {
+      return (await DB.getMeta('reminders')) || [];
+    },
+
+    async save(reminders) {
+      this.reminders = reminders.sort((a, b) => a.time.localeCompare(b.time));
+      await DB.setMeta('reminders', this.reminders);
+      await this.schedule();
+    },
+
+    // A reminder whose time already passed today starts tomorrow
+    async add(time, days) {
+      const reminder = { id: crypto.randomUUID(), time, days: [...days].sort() };
+      const now = new Date();
+      if (time <= formatTime(now)) await this.markShown([reminder.id], formatDate(now));
+      await this.save([...this.reminders, reminder]);
+    },
+
+    async remove(id) {
+      await this.save(this.reminders.filter(r => r.id !== id));
+    },
+
+    async markShown(ids, date) {
+      const log = (await DB.getMeta('reminderLog')) || {};
+      ids.forEach(id => { log[id] = date; });
+      await DB.setMeta('reminderLog', log);
+    },
+
+    isActive() {
+      return ('Notification' in window) && Notification.permission === 'granted' && this.reminders.length > 0;
+    },
+
+    describeDays(days) {
+      if (days.length === 7) return t('reminders.everyDay');
+      if (days.join() === '0,1,2,3,4') return t('reminders.weekdays');
+      if (days.join() === '5,6') return t('reminders.weekend');
+      return I18n.weekOrder().filter(d => days.includes(d)).map(d => I18n.dayNames[d]).join(', ');
+    },
+
+    supportsTriggers() {
+      return 'Notification' in window && 'showTrigger' in Notification.prototype && 'TimestampTrigger' in window;
+    },
+
+    // Unlike `serviceWorker.ready`, doesn't wait for a worker that may never
+    // activate: without one the page falls back to polling
+    async registration() {
+      if (!('serviceWorker' in navigator)) return null;
+      const reg = await navigator.serviceWorker.getRegistration();
+      return reg && reg.active ? reg : null;
+    },
+
+    // Use the best mechanism available, from most to least precise:
+    // Notification Triggers schedule the next days ahead of time, Periodic
+    // Background Sync lets the service worker check now and then, and the
+    // page itself polls while it is open. The in-page check also runs with
+    // periodic sync, since the browser decides how often that fires.
+    async schedule() {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+
+      const reg = await this.registration();
+      if (reg && this.supportsTriggers()) await this.cancelTriggers(reg);
+
+      if (!this.isActive()) {
+        if (reg && 'periodicSync' in reg) await reg.periodicSync.unregister(this.PERIODIC_TAG).catch(() => {});
+        return;
+      }
+
+      if (reg && this.supportsTriggers()) {
+        this.mode = 'trigger';
+        await this.scheduleTriggers(reg);
+        return;
+      }
+
+      this.mode = 'page';
+      if (reg && 'periodicSync' in reg) {
+        try {
+          const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+          if (status.state === 'granted') {
+            await reg.periodicSync.register(this.PERIODIC_TAG, { minInterval: 60 * 60 * 1000 });
+            this.mode = 'periodic';
+          }
+        } catch (_) { /* not allowed for this origin */ }
+      }
+
+      this.intervalId = setInterval(() => this.check(), this.CHECK_INTERVAL);
+      this.check();
+    },
+
+    // Triggered notifications can't check the journal when they fire, so
+    // today's are only scheduled while today has no entry. Saving an entry
+    // reschedules.
+    async scheduleTriggers(reg) {
+      const now = new Date();
+      const today = formatDate(now);
+      const loggedToday = (await DB.getByDate(today)).length > 0;
+
+      for (let offset = 0; offset < this.TRIGGER_DAYS; offset++) {
+        const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+        const date = formatDate(day);
+        if (date === today && loggedToday) continue;
+
+        for (const reminder of this.reminders) {
+          if (!reminder.days.includes((day.getDay() + 6) % 7)) continue;
+          const [h, m] = reminder.time.split(':').map(Number);
+          const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m);
+          if (at <= now) continue;
+          await reg.showNotification(t('app.title'), {
+            ...this.reminderOptions(date),
+            tag: `${this.TAG}-${date}-${reminder.id}`,
+            showTrigger: new TimestampTrigger(at.getTime())
+          });
+        }
+      }
+    },
+
+    async cancelTriggers(reg) {
+      const pending = await reg.getNotifications({ includeTriggered: true });
+      pending.filter(n => n.tag.startsWith(`${this.TAG}-`) && n.showTrigger).forEach(n => n.close());
+    },
+
+    // Reminders of today's weekday whose time has passed and that haven't
+    // been shown today. Same rule as dueReminders() in sw.js.
+    async check() {
+      const now = new Date();
+      const today = formatDate(now);
+      const weekday = (now.getDay() + 6) % 7;
+      const log = (await DB.getMeta('reminderLog')) || {};
+      const due = this.reminders.filter(r =>
+        r.days.includes(weekday) && r.time <= formatTime(now) && log[r.id] !== today
+      );
+      if (due.length === 0) return;
+
+      // Skipped reminders count as shown: no point asking again later today
+      await this.markShown(due.map(r => r.id), today);
+      if ((await DB.getByDate(today)).length > 0) return;
+      this.showReminder();
+    },
+
+    // Called after an entry is saved
+    entrySaved(date) {
+      if (this.mode === 'trigger' && date === formatDate(new Date())) this.schedule();
+    },
+
+    showBannerIfNeeded() {
+      if (!('Notification' in window)) return;
+      if (Notification.permission !== 'default') return;
+
+      if (Settings.get('notifBannerDismissed') === formatDate(new Date())) return;
+
+      const banner = document.getElementById('notif-banner');
+      if (!banner) return;
+      banner.hidden = false;
+
+      document.getElementById('notif-accept').addEventListener('click', async () => {
+        const granted = await this.requestPermission();
+        banner.hidden = true;
+        if (granted) {
+          this.sendTestNotification();
+          if (this.reminders.length === 0) {
+            await this.add('20:00', [0, 1, 2, 3, 4, 5, 6]);
+          } else {
+            await this.schedule();
+          }
+        }
+      });
+
+      document.getElementById('notif-dismiss').addEventListener('click', () => {
+        banner.hidden = true;
+        Settings.set('notifBannerDismissed', formatDate(new Date()));
+      });
+    },
+
+    async sendTestNotification() {
+      if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+      if ('serviceWorker' in navigator) {
+        try {
+          const reg = await navigator.serviceWorker.ready;
+          await reg.showNotification(t('app.title'), {
+            body: t('notifications.enabled'),
+            icon: 'icons/icon-192.svg',
+            tag: 'mood-test'
+          });
+          return;
+        } catch (_) { /* fall through */ }
+      }
+
+      new Notification(t('app.title'), {
+        body: t('notifications.enabled'),
+        icon: 'icons/icon-192.svg'
+      });
+    },
+
+    // Mood buttons logged by the service worker without opening the app.
+    // Platforms show at most Notification.maxActions buttons, so keep an
+    // evenly spread subset of the scale. Same list as reminderActions() in sw.js.
+    reminderActions() {
+      const points = Scale.points;
+      const count = Math.min(points, Notification.maxActions === undefined ? points : Notification.maxActions);
+      const moods = count < 2 ? [] : Array.from({ length: count }, (_, i) => Math.round(1 + (i * (points - 1)) / (count - 1)));
+      return moods.map(mood => ({ action: `mood-${mood}`, title: `${Scale.emoji(mood)} ${Scale.label(mood)}` }));
+    },
+
+    // `data.date` is the day the reminder is about: tapping the body opens
+    // Add on that day, tapping a mood logs it there (on `data.scale`)
+    reminderOptions(date = formatDate(new Date())) {
+      return {
+        body: t('notifications.reminder'),
+        icon: 'icons/icon-192.svg',
+        tag: this.TAG,
+        data: { date, scale: Scale.points },
+        actions: this.reminderActions()
+      };
+    },
+
+    async showReminder() {
+      if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+      if ('serviceWorker' in navigator) {
+        try {
+          const reg = await navigator.serviceWorker.ready;
+          await reg.showNotification(t('app.title'), this.reminderOptions());
+          return;
+        } catch (_) { /* fall through */ }
+      }
+
+      const { body, icon } = this.reminderOptions();
+      new Notification(t('app.title'), { body, icon });
+    }
+  };
+
+  // ── UI Module ──
+
+  const UI = {
+    app: null,
+    form: null, // { isDirty(), flush(), reload(dates) } while the Add view is shown
+    launchedFile: null, // opened from the OS, imported once Settings shows
+
+    init() {
+      this.app = document.getElementById('app');
+      // The app may be killed once hidden: write the draft right away
+      document.addEventListener('visibilitychange', () => {
+        if (document.hidden && this.form) this.form.flush();
+      });
+      window.addEventListener('beforeunload', (e) => {
+        if (this.form && this.form.isDirty()) e.preventDefault();
+      });
+    },
+
+    // Whether the current view may be replaced (asks when a form is unsaved)
+    confirmLeave() {
+      return !this.form || !this.form.isDirty() || confirm(t('add.leaveConfirm'));
+    },
+
+    render(tab, data) {
+      if (this.form) {
+        this.form.flush();
+        this.form = null;
+      }
+      if (tab !== 'history') HistoryList.destroy();
+      switch (tab) {
+        case 'add':      this.renderAdd(data);      break;
+        case 'calendar': this.renderCalendar();      break;
+        case 'stats':    this.renderStats();         break;
+        case 'history':  this.renderHistory();       break;
+        case 'trash':    this.renderTrash();         break;
+        case 'settings': this.renderSettings();      break;
+      }
+    },
+
+    // Re-render the current view after data changed underneath it. The Add
+    // view is left alone so a note being typed is not lost.
+    refresh() {
+      if (Router.currentTab !== 'add') this.render(Router.currentTab);
+    },
+
+    // Check-ins of `dates` (null: any date) were changed by another tab, the
+    // service worker or a sync. Only a view showing one of them is updated,
+    // in place: the open day, the scroll position of History and a form
+    // being typed are kept.
+    async applyChanges(dates) {
+      // The lock screen is up: the view is rendered afresh on unlock
+      if (Vault.isLocked()) return;
+      const shows = (from, to) => !dates || dates.some(d => d >= from && d <= to);
+      switch (Router.currentTab) {
+        case 'add':
+          if (this.form) await this.form.reload(dates);
+          break;
+        case 'calendar': {
+          const year = Calendar.currentDate.getFullYear();
+          const month = String(Calendar.currentDate.getMonth() + 1).padStart(2, '0');
+          const [from, to] = Calendar.mode === 'year'
+            ? [`${year}-01-01`, `${year}-12-31`]
+            : [`${year}-${month}-01`, `${year}-${month}-31`];
+          if (!shows(from, to)) break;
+          const detail = this.app.querySelector('.day-detail:not([hidden])');
+          await this.renderCalendar(detail ? detail.dataset.date : null);
+          break;
+        }
+        case 'stats':
+          // Streak and comparison with the previous period reach outside
+          // the period shown: any change may move them
+          if (!dates || dates.length) await this.renderStats();
+          break;
+        case 'history':
+          if (!dates || !(await HistoryList.refreshDates(dates))) await this.loadHistoryList();
+          break;
+        case 'trash':
+          await this.renderTrash();
+          break;
+      }
+    },
+
+    // ── Add / Edit view ──
+
+    // `target` is a date string (new check-in on that day), { date, id }
+    // to edit an existing check-in or { date, note } to start one with text
+    // shared from another app.
+    renderAdd(target) {
+      const { date = formatDate(new Date()), id: editId = null, note: sharedNote = null } =
+        typeof target === 'object' && target ? target : { date: target || undefined };
+      let selectedMood = null;
+      let selectedTags = new Set();
+      let editing = null; // entry being edited, null for a new check-in
+      let loadedDate = date; // day the form and its draft belong to
+      let baseline = null; // form state when loaded, to tell unsaved changes
+      let draftTimer = null;
+      let saving = false;
+      // Photos: stored ones of the edited check-in, picked ones not saved
+      // yet, and stored ids to remove on save. Drafts don't keep photos.
+      let attached = [];
+      let pending = [];
+      let removed = new Set();
+      let photoToken = 0;
+
+      this.app.innerHTML = `
+        <div class="view add-view">
+          <h2>${t('add.title')}</h2>
+          <div class="mood-selector${Scale.points > 5 ? ' dense' : ''}" role="radiogroup" aria-label="${t('add.moodLabel')}">
+            ${Scale.emojis.map((emoji, i) => `
+              <button class="mood-btn" data-mood="${i + 1}"
+                      role="radio" aria-checked="false"
+                      aria-label="${Scale.labels[i]}">${emoji}</button>
+            `).join('')}
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="entry-date">${t('add.date')}</label>
+              <input type="date" id="entry-date" value="${date}">
+            </div>
+            <div class="form-group">
+              <label for="entry-time">${t('add.time')}</label>
+              <input type="time" id="entry-time">
+            </div>
+          </div>
+          <div class="form-group">
+            <label for="entry-note">${t('add.note')}</label>
+            <textarea id="entry-note" placeholder="${t('add.notePlaceholder')}" rows="3"></textarea>
+          </div>
+          <div class="form-group">
+            <span class="form-label" id="entry-tags-label">${t('add.tags')}</span>
+            <div id="tag-chips" class="tag-chips" role="group" aria-labelledby="entry-tags-label"></div>
+            <form id="tag-add-form" class="tag-add">
+              <input type="text" id="tag-new" placeholder="${t('add.newTag')}" aria-label="${t('add.newTag')}" maxlength="30">
+              <button type="submit" class="btn-secondary">${t('common.add')}</button>
+            </form>
+          </div>
+          <div class="form-group">
+            <span class="form-label" id="entry-photos-label">${t('photos.title')}</span>
+            <div id="photo-list" class="photo-strip editable" role="group" aria-labelledby="entry-photos-label"></div>
+            <div class="photo-inputs">
+              <button type="button" class="btn-secondary" data-input="photo-camera">\u{1F4F7} ${t('photos.take')}</button>
+              <button type="button" class="btn-secondary" data-input="photo-files">\u{1F5BC}\uFE0F ${t('photos.choose')}</button>
+              <input type="file" id="photo-camera" accept="image/*" capture="environment" hidden>
+              <input type="file" id="photo-files" accept="image/*" multiple hidden>
+            </div>
+            <p id="photo-error" class="form-error" role="alert"></p>
+          </div>
+          <button id="save-entry" class="btn-primary" disabled>${t('add.save')}</button>
+          <p id="draft-indicator" class="draft-indicator" hidden>\u270E ${t('add.draft')}</p>
+          <div id="save-feedback" class="feedback" role="status"></div>
+
+          <section class="day-checkins" aria-labelledby="day-checkins-title" hidden>
+            <div class="day-checkins-header">
+              <h3 id="day-checkins-title">${t('add.dayTitle')}</h3>
+              <button id="new-checkin" class="btn-secondary">${t('add.newCheckin')}</button>
+            </div>
+            <ul id="day-checkins-list"></ul>
+          </section>
+        </div>
+      `;
+
+      const moodBtns = this.app.querySelectorAll('.mood-btn');
+      const dateInput = this.app.querySelector('#entry-date');
+      const timeInput = this.app.querySelector('#entry-time');
+      const noteInput = this.app.querySelector('#entry-note');
+      const saveBtn = this.app.querySelector('#save-entry');
+      const feedback = this.app.querySelector('#save-feedback');
+      const daySection = this.app.querySelector('.day-checkins');
+      const dayList = this.app.querySelector('#day-checkins-list');
+      const tagChips = this.app.querySelector('#tag-chips');
+      const tagForm = this.app.querySelector('#tag-add-form');
+      const tagInput = this.app.querySelector('#tag-new');
+      const draftIndicator = this.app.querySelector('#draft-indicator');
+      const photoList = this.app.querySelector('#photo-list');
+      const photoError = this.app.querySelector('#photo-error');
+
+      // Known tags plus any the entry carries that were removed from the list
+      function renderTags() {
+        const all = [...new Set([...Tags.getAll(), ...selectedTags])];
+        tagChips.innerHTML = all.map(tag => `
+          <button type="button" class="tag-chip" aria-pressed="${selectedTags.has(tag)}"
+                  data-tag="${escapeHtml(tag)}">${escapeHtml(tag)}</button>
+        `).join('');
+      }
+
+      tagChips.addEventListener('click', (e) => {
+        const chip = e.target.closest('.tag-chip');
+        if (!chip) return;
+        const tag = chip.dataset.tag;
+        if (selectedTags.has(tag)) selectedTags.delete(tag);
+        else selectedTags.add(tag);
+        chip.setAttribute('aria-pressed', String(selectedTags.has(tag)));
+        changed();
+      });
+
+      tagForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const tag = Tags.add(tagInput.value);
+        if (!tag) return;
+        selectedTags.add(tag);
+        tagInput.value = '';
+        renderTags();
+        changed();
+      });
+
+      function selectMood(value) {
+        selectedMood = value;
+        moodBtns.forEach(b => {
+          const isSelected = Number(b.dataset.mood) === value;
+          b.classList.toggle('selected', isSelected);
+          b.setAttribute('aria-checked', String(isSelected));
+        });
+        saveBtn.disabled = false;
+      }
+
+      function fillForm(entry) {
+        editing = entry;
+        moodBtns.forEach(b => {
+          b.classList.remove('selected');
+          b.setAttribute('aria-checked', 'false');
+        });
+        selectedMood = null;
+        saveBtn.disabled = true;
+        selectedTags = new Set(entry ? entry.tags || [] : []);
+        renderTags();
+        if (entry) {
+          selectMood(entry.mood);
+          noteInput.value = entry.note || '';
+          timeInput.value = entry.time;
+          saveBtn.textContent = t('add.update');
+        } else {
+          noteInput.value = '';
+          timeInput.value = formatTime(new Date());
+          saveBtn.textContent = t('add.save');
+        }
+        dayList.querySelectorAll('.checkin-item').forEach(item => {
+          item.setAttribute('aria-current', String(!!entry && Number(item.dataset.id) === entry.id));
+        });
+        baseline = JSON.stringify(formState());
+        draftIndicator.hidden = true;
+        loadPhotos(entry);
+      }
+
+      async function loadPhotos(entry) {
+        const token = ++photoToken;
+        attached = [];
+        pending = [];
+        removed = new Set();
+        photoError.textContent = '';
+        renderPhotos();
+        const photos = entry ? await DB.getPhotos(entry.uid) : [];
+        if (token !== photoToken) return;
+        attached = photos;
+        renderPhotos();
+      }
+
+      function renderPhotos() {
+        const photos = [...attached.filter(p => !removed.has(p.id)), ...pending];
+        photoList.replaceChildren(...photos.map((photo, i) => {
+          const item = document.createElement('div');
+          item.className = 'photo-item';
+          const remove = document.createElement('button');
+          remove.type = 'button';
+          remove.className = 'photo-remove';
+          remove.setAttribute('aria-label', t('photos.remove', { n: i + 1 }));
+          remove.textContent = '\u2715';
+          remove.addEventListener('click', () => {
+            if (photo.id != null) removed.add(photo.id);
+            else pending = pending.filter(p => p !== photo);
+            renderPhotos();
+            changed();
+          });
+          item.append(Photos.thumbnail(photo, i + 1), remove);
+          return item;
+        }));
+      }
+
+      async function addPhotos(files) {
+        const token = photoToken;
+        photoError.textContent = '';
+        for (const file of files) {
+          try {
+            const photo = await Photos.prepare(file);
+            if (token !== photoToken) return;
+            pending.push(photo);
+          } catch (err) {
+            console.warn('Photo not added:', err);
+            photoError.textContent = t('photos.unreadable');
+          }
+        }
+        renderPhotos();
+        changed();
+      }
+
+      function formState() {
+        return { mood: selectedMood, time: timeInput.value, note: noteInput.value, tags: [...selectedTags].sort() };
+      }
+
+      function isDirty() {
+        if (pending.length > 0 || removed.size > 0) return true;
+        return baseline !== null && JSON.stringify(formState()) !== baseline;
+      }
+
+      // Put a saved draft over the freshly filled form
+      function applyDraft(draft) {
+        if (draft.mood) selectMood(Scale.convert(draft.mood, draft.scale));
+        timeInput.value = draft.time;
+        noteInput.value = draft.note;
+        selectedTags = new Set(draft.tags);
+        renderTags();
+        draftIndicator.hidden = !isDirty();
+      }
+
+      // Write (or drop) the draft of `loadedDate` now
+      function flushDraft() {
+        clearTimeout(draftTimer);
+        draftTimer = null;
+        if (isDirty()) {
+          Drafts.save(loadedDate, { id: editing ? editing.id : null, scale: Scale.points, ...formState() });
+        } else {
+          Drafts.clear(loadedDate);
+        }
+      }
+
+      // After each edit by the user
+      function changed() {
+        draftIndicator.hidden = !isDirty();
+        clearTimeout(draftTimer);
+        draftTimer = setTimeout(flushDraft, 500);
+      }
+
+      // Keep the URL on the day and check-in being edited
+      function track() {
+        if (Router.currentTab !== 'add') return;
+        Router.addTarget = editing ? { date: editing.date, id: editing.id } : dateInput.value;
+        Router.record({ replace: true });
+      }
+
+      // List the day's check-ins, then edit `selectId` or start a new one.
+      // A draft left on that day is resumed unless another check-in is asked for.
+      async function loadDay(dateStr, selectId) {
+        loadedDate = dateStr;
+        const [entries, draft] = await Promise.all([DB.getByDate(dateStr), Drafts.get(dateStr)]);
+        listDay(entries);
+        const resume = draft && (selectId == null || draft.id === selectId) ? draft : null;
+        fillForm(entries.find(e => e.id === (resume ? resume.id : selectId)) || null);
+        if (resume) applyDraft(resume);
+      }
+
+      function listDay(entries) {
+        daySection.hidden = entries.length === 0;
+        dayList.innerHTML = entries.map(e => `
+          <li>
+            <button class="checkin-item" data-id="${e.id}" aria-current="${!!editing && e.id === editing.id}">
+              <span class="checkin-mood" aria-label="${Scale.label(e.mood)}">${Scale.emoji(e.mood)}</span>
+              <span class="checkin-time">${e.time}</span>
+              <span class="checkin-note">${e.note ? escapeHtml(e.note) : ''}</span>
+            </button>
+          </li>
+        `).join('');
+        dayList.querySelectorAll('.checkin-item').forEach(item => {
+          item.addEventListener('click', () => {
+            if (switchTo(entries.find(e => e.id === Number(item.dataset.id)))) track();
+          });
+        });
+      }
+
+      // Edit another check-in of the day (null: a new one). The day has a
+      // single draft, so unsaved changes are dropped, after asking.
+      function switchTo(entry) {
+        if (isDirty()) {
+          if (!confirm(t('add.discardConfirm'))) return false;
+          clearTimeout(draftTimer);
+          draftTimer = null;
+          Drafts.clear(loadedDate);
+        }
+        fillForm(entry);
+        return true;
+      }
+
+      // The day changed elsewhere: list its check-ins again, and reload the
+      // form too unless it holds unsaved changes
+      const reload = async (dates) => {
+        if (dates && !dates.includes(loadedDate)) return;
+        if (isDirty()) {
+          listDay(await DB.getByDate(loadedDate));
+        } else {
+          await loadDay(loadedDate, editing ? editing.id : null);
+          track();
+        }
+      };
+
+      this.form = {
+        isDirty,
+        flush: () => { if (draftTimer) flushDraft(); },
+        reload
+      };
+
+      loadDay(date, editId).then(() => {
+        // Shared text goes into a new check-in, after a draft of one if any
+        if (sharedNote) {
+          if (editing) fillForm(null);
+          noteInput.value = noteInput.value ? `${noteInput.value}\n${sharedNote}` : sharedNote;
+          changed();
+          noteInput.focus();
+        }
+        track();
+      });
+
+      moodBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+          selectMood(Number(btn.dataset.mood));
+          changed();
+        });
+      });
+
+      noteInput.addEventListener('input', changed);
+      timeInput.addEventListener('input', changed);
+
+      this.app.querySelectorAll('.photo-inputs [data-input]').forEach(btn => {
+        btn.addEventListener('click', () => this.app.querySelector(`#${btn.dataset.input}`).click());
+      });
+      this.app.querySelectorAll('.photo-inputs input[type="file"]').forEach(input => {
+        input.addEventListener('change', () => {
+          addPhotos([...input.files]);
+          input.value = '';
+        });
+      });
+
+      // The draft stays with the day it was typed on
+      dateInput.addEventListener('change', () => {
+        if (draftTimer) flushDraft();
+        loadDay(dateInput.value).then(track);
+      });
+
+      this.app.querySelector('#new-checkin').addEventListener('click', () => {
+        if (switchTo(null)) track();
+      });
+
+      saveBtn.addEventListener('click', async () => {
+        // A second click while saving would store a second check-in
+        if (!selectedMood || saving) return;
+        saving = true;
+        saveBtn.disabled = true;
+        try {
+          const isOnline = navigator.onLine;
+          const entry = {
+            date: dateInput.value,
+            time: timeInput.value || formatTime(new Date()),
+            mood: selectedMood,
+            note: noteInput.value.trim(),
+            tags: [...selectedTags],
+            timestamp: Date.now(),
+            synced: false
+          };
+          // A note that can't be read here is kept unless a new one is typed
+          if (!entry.note && editing && editing.noteUnreadable) {
+            delete entry.note;
+            entry.noteCipher = editing.noteCipher;
+          }
+          // The stored row, as it was, for Undo
+          const previous = editing ? await DB.getRaw(editing.id) : null;
+          entry.uid = editing ? editing.uid : crypto.randomUUID();
+          if (editing) entry.id = editing.id;
+          clearTimeout(draftTimer);
+          draftTimer = null;
+          const id = await DB.put(entry);
+          await Drafts.clear(entry.date);
+
+          const dropped = attached.filter(p => removed.has(p.id));
+          let addedIds = [];
+          let photoFailure = '';
+          if (pending.length > 0 || dropped.length > 0) {
+            const records = pending.map(p => ({ ...p, entryUid: entry.uid, createdAt: Date.now() }));
+            try {
+              addedIds = await DB.putPhotos(records, dropped.map(p => p.id));
+            } catch (err) {
+              console.warn('Photos not saved:', err);
+              photoFailure = t(err && err.name === 'QuotaExceededError' ? 'photos.quota' : 'photos.saveFailed');
+            }
+          }
+          Sync.schedule();
+          Notifications.entrySaved(entry.date);
+          await loadDay(entry.date, id);
+          track();
+          photoError.textContent = photoFailure;
+          if (previous) {
+            Snackbar.show(t('add.updated'), async () => {
+              await DB.putManyRaw([{ ...previous, timestamp: Date.now(), synced: false }]);
+              await DB.putPhotos(dropped, addedIds);
+              Sync.schedule();
+              Snackbar.show(t('add.reverted'));
+              if (!dayList.isConnected) return this.refresh();
+              dateInput.value = previous.date;
+              await loadDay(previous.date, previous.id);
+              track();
+            });
+            return;
+          }
+          feedback.textContent = t(isOnline ? 'add.saved' : 'add.savedOffline');
+          feedback.classList.add('show');
+          setTimeout(() => feedback.classList.remove('show'), 3000);
+        } finally {
+          saving = false;
+          saveBtn.disabled = !selectedMood;
+        }
+      });
+    },
+
+    // ── Calendar view ──
+
+    // `openDate` keeps that day's detail open when re-rendering in place,
+    // `focusDate` puts the focus on that day (by default the focused one
+    // stays focused)
+    async renderCalendar(openDate = null, focusDate = null) {
+      const focused = this.app.querySelector('.cal-cell:focus, .year-cell:focus');
+      if (!focusDate && focused) focusDate = focused.dataset.date;
+      if (Calendar.mode === 'year') return this.renderCalendarYear(focusDate);
+
+      const year = Calendar.currentDate.getFullYear();
+      const month = Calendar.currentDate.getMonth();
+      const entries = await DB.getByMonth(year, month);
+
+      this.app.innerHTML = `
+        <div class="view calendar-view">
+          ${Calendar.render(entries, Calendar.currentDate, focusDate)}
+          <section class="day-detail" aria-labelledby="day-detail-title" hidden></section>
+          <section class="month-report" aria-labelledby="month-report-title">
+            <h3 id="month-report-title">${t('report.heading')}</h3>
+            <div class="backup-row">
+              <button id="report-image" class="btn-secondary">${t(Report.canShareFiles() ? 'report.share' : 'report.download')}</button>
+              <button id="report-print" class="btn-secondary">${t('report.print')}</button>
+              <label class="report-notes"><input type="checkbox" id="report-notes"> ${t('report.includeNotes')}</label>
+            </div>
+            <p id="report-error" class="form-error" role="alert"></p>
+          </section>
+        </div>
+      `;
+      this.bindCalendarMode();
+      this.bindReport(Calendar.currentDate);
+      const days = groupByDate(entries);
+
+      // Another month, with the focus on a day of the grid or back on the
+      // button used
+      const showMonth = async (delta, { focusDate = null, button = null } = {}) => {
+        Calendar.currentDate = new Date(year, month + delta, 1);
+        await this.renderCalendar(null, focusDate);
+        Router.record();
+        if (button) this.app.querySelector(`#${button}`).focus();
+        announce(t('calendar.monthShown', { month: formatMonthYear(Calendar.currentDate) }));
+      };
+
+      this.app.querySelector('#prev-month').addEventListener('click', () => showMonth(-1, { button: 'prev-month' }));
+      this.app.querySelector('#next-month').addEventListener('click', () => showMonth(1, { button: 'next-month' }));
+
+      // A day with check-ins opens its detail, an empty one the Add view
+      const openDay = (date) => {
+        if (days.has(date)) this.renderDayDetail(date, days.get(date));
+        else Router.navigate('add', date);
+      };
+      this.app.querySelectorAll('.cal-cell:not(.empty)').forEach(cell => {
+        cell.addEventListener('click', () => openDay(cell.dataset.date));
+      });
+      this.bindCalendarGrid(this.app.querySelector('.calendar-grid'), Calendar.keyTarget.bind(Calendar), openDay, (target) => {
+        const [y, m] = target.split('-').map(Number);
+        showMonth((y - year) * 12 + m - 1 - month, { focusDate: target });
+      });
+
+      if (days.has(openDate)) this.renderDayDetail(openDate, days.get(openDate), { scroll: false });
+      if (focusDate) {
+        const cell = this.app.querySelector(`.cal-cell[data-date="${focusDate}"]`);
+        if (cell) cell.focus();
+      }
+    },
+
+    // Keyboard of the month and year grids (ARIA grid pattern): a roving
+    // tabindex moved by `keyTarget` (Calendar.keyTarget/yearKeyTarget);
+    // `showOther(date)` renders the month or year of a day not in the grid
+    bindCalendarGrid(grid, keyTarget, openDay, showOther) {
+      grid.addEventListener('keydown', (e) => {
+        const cell = e.target.closest('[role="gridcell"][data-date]');
+        if (!cell || e.altKey || e.ctrlKey || e.metaKey) return;
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          openDay(cell.dataset.date);
+          return;
+        }
+        const target = keyTarget(cell.dataset.date, e.key);
+        if (!target) return;
+        e.preventDefault();
+        const next = grid.querySelector(`[role="gridcell"][data-date="${target}"]`);
+        if (!next) {
+          showOther(target);
+          return;
+        }
+        cell.tabIndex = -1;
+        next.tabIndex = 0;
+        next.focus();
+      });
+    },
+
+    // Check-ins of one day under the month grid, with their photos
+    renderDayDetail(date, entries, { scroll = true } = {}) {
+      const section = this.app.querySelector('.day-detail');
+      section.dataset.date = date;
+      section.innerHTML = `
+        <div class="day-checkins-header">
+          <h3 id="day-detail-title">${formatDateDisplay(date)}</h3>
+          <button id="day-detail-add" class="btn-secondary">${t('add.newCheckin')}</button>
+        </div>
+        <ul class="day-detail-list">
+          ${entries.map(e => `
+            <li>
+              <button class="checkin-item" data-id="${e.id}">
+                <span class="checkin-mood" aria-label="${Scale.label(e.mood)}">${Scale.emoji(e.mood)}</span>
+                <span class="checkin-time">${e.time}</span>
+                <span class="checkin-note">${e.note ? escapeHtml(e.note) : ''}</span>
+              </button>
+              <div class="photo-strip" data-uid="${escapeHtml(e.uid)}" hidden></div>
+            </li>
+          `).join('')}
+        </ul>
+      `;
+      section.hidden = false;
+      Photos.fill(section);
+      section.querySelector('#day-detail-add').addEventListener('click', () => Router.navigate('add', date));
+      section.querySelectorAll('.checkin-item').forEach(item => {
+        item.addEventListener('click', () => Router.navigate('add', { date, id: Number(item.dataset.id) }));
+      });
+      if (scroll) section.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    },
+
+    bindReport(date) {
+      const error = this.app.querySelector('#report-error');
+      const imageBtn = this.app.querySelector('#report-image');
+
+      imageBtn.addEventListener('click', async () => {
+        imageBtn.disabled = true;
+        error.textContent = '';
+        try {
+          await Report.share(await Report.build(date));
+        } catch (err) {
+          console.error('Report failed:', err);
+          error.textContent = t('report.failed');
+        } finally {
+          imageBtn.disabled = false;
+        }
+      });
+
+      const printBtn = this.app.querySelector('#report-print');
+      printBtn.addEventListener('click', async () => {
+        const notes = this.app.querySelector('#report-notes').checked;
+        printBtn.disabled = true;
+        error.textContent = '';
+        try {
+          Report.print(await Report.build(date), { notes });
+        } catch (err) {
+          console.error('Report print failed:', err);
+          error.textContent = t('report.printFailed');
+        } finally {
+          printBtn.disabled = false;
+        }
+      });
+    },
+
+    async renderCalendarYear(focusDate = null) {
+      const year = Calendar.currentDate.getFullYear();
+      const month = Calendar.currentDate.getMonth();
+      const entries = await DB.getRange(`${year}-01-01`, `${year}-12-31`);
+
+      this.app.innerHTML = `<div class="view calendar-view">${Calendar.renderYear(entries, focusDate)}</div>`;
+      this.bindCalendarMode();
+
+      // Same as showMonth() in renderCalendar()
+      const showYear = async (delta, { focusDate = null, button = null } = {}) => {
+        Calendar.currentDate = new Date(year + delta, month, 1);
+        await this.renderCalendar(null, focusDate);
+        Router.record();
+        if (button) this.app.querySelector(`#${button}`).focus();
+        announce(t('calendar.yearShown', { year: year + delta }));
+      };
+
+      this.app.querySelector('#prev-year').addEventListener('click', () => showYear(-1, { button: 'prev-year' }));
+      this.app.querySelector('#next-year').addEventListener('click', () => showYear(1, { button: 'next-year' }));
+
+      // Month initials open that month in the monthly grid
+      this.app.querySelectorAll('.year-month-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          Calendar.currentDate = new Date(year, Number(btn.dataset.month), 1);
+          Calendar.mode = 'month';
+          this.renderCalendar();
+          Router.record();
+        });
+      });
+
+      const grid = this.app.querySelector('.year-grid');
+      const openDay = (date) => Router.navigate('add', date);
+      grid.addEventListener('click', (e) => {
+        const cell = e.target.closest('.year-cell[data-date]');
+        if (cell) openDay(cell.dataset.date);
+      });
+      this.bindCalendarGrid(grid, Calendar.yearKeyTarget.bind(Calendar), openDay, (target) => {
+        showYear(Number(target.slice(0, 4)) - year, { focusDate: target });
+      });
+
+      if (focusDate) {
+        const cell = grid.querySelector(`.year-cell[data-date="${focusDate}"]`);
+        if (cell) cell.focus();
+      }
+    },
+
+    bindCalendarMode() {
+      this.app.querySelectorAll('.cal-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          if (Calendar.mode === btn.dataset.mode) return;
+          Calendar.mode = btn.dataset.mode;
+          this.renderCalendar();
+          Router.record();
+        });
+      });
+    },
+
+    // ── Stats view ──
+
+    async renderStats() {
+      const period = Stats.period;
+      const range = Stats.range(period);
+      const entries = await Stats.load(range);
+      const stats = Stats.calculate(entries, range);
+      const tagStats = Stats.byTag(entries.filter(e => e.date >= range.from));
+      const streak = await Stats.currentStreak();
+
+      const signed = (value, digits) => `${value >= 0 ? '+' : '\u2212'}${I18n.number(Math.abs(value), digits)}`;
+      const avgEmoji = stats.average ? Scale.emoji(stats.average) : '\u2014';
+      const maxDist = Math.max(...stats.distribution, 1);
+
+      this.app.innerHTML = `
+        <div class="view stats-view">
+          <div class="cal-mode stats-period" role="group" aria-label="${t('stats.periodLabel')}">
+            ${Stats.PERIODS.map(mode => `
+              <button class="cal-mode-btn" data-period="${mode}" aria-pressed="${mode === period.mode}">${t(`stats.period.${mode}`)}</button>
+            `).join('')}
+          </div>
+          ${period.mode === 'custom' ? `
+            <form id="stats-range-form" class="stats-range">
+              <label>${t('stats.from')} <input type="date" id="stats-from" value="${range.from}" required></label>
+              <label>${t('stats.to')} <input type="date" id="stats-to" value="${range.to}" required></label>
+              <button type="submit" class="btn-secondary">${t('stats.show')}</button>
+            </form>
+          ` : `
+            <div class="stats-month-nav">
+              <button class="cal-nav" id="stats-prev" aria-label="${t('stats.prev')}">\u25C0</button>
+              <h2>${Stats.label(period, range)}</h2>
+              <button class="cal-nav" id="stats-next" aria-label="${t('stats.next')}">\u25B6</button>
+            </div>
+          `}
+
+          <div class="stats-cards">
+            <div class="stat-card">
+              <div class="stat-value">${avgEmoji}</div>
+              <div class="stat-label">${t('stats.average')}</div>
+              <div class="stat-detail">${stats.average ? `${I18n.number(stats.average)}/${Scale.points}` : t('common.noData')}</div>
+            </div>
+            <div class="stat-card">
+              <div class="stat-value">${stats.count}</div>
+              <div class="stat-label">${t('stats.entries')}</div>
+              ${stats.count > stats.days ? `<div class="stat-detail">${t('stats.overDays', { count: stats.days })}</div>` : ''}
+            </div>
+            <div class="stat-card">
+              <div class="stat-value">${Stats.TREND_ICONS[stats.trend]}</div>
+              <div class="stat-label">${t('stats.trend')}</div>
+              <div class="stat-detail">${t(`stats.trend.${stats.trend}`)}</div>
+              ${stats.days >= 3 ? `
+                <div class="stat-detail">${t('stats.slope', { slope: signed(stats.slope, 2), confidence: t(`stats.confidence.${stats.confidence}`) })}</div>
+              ` : ''}
+            </div>
+          </div>
+
+          <div class="stats-cards">
+            <div class="stat-card">
+              <div class="stat-value">${streak}</div>
+              <div class="stat-label">${t('stats.currentStreak')}</div>
+              <div class="stat-detail">${t('stats.streakDays', { count: streak })}</div>
+            </div>
+            <div class="stat-card">
+              <div class="stat-value">${stats.longestStreak}</div>
+              <div class="stat-label">${t('stats.longestStreak')}</div>
+              <div class="stat-detail">${t('stats.inPeriod')}</div>
+            </div>
+            <div class="stat-card">
+              <div class="stat-value">${stats.missedDays}</div>
+              <div class="stat-label">${t('stats.missedDays')}</div>
+              <div class="stat-detail">${t('stats.withoutEntry')}</div>
+            </div>
+            <div class="stat-card">
+              <div class="stat-value">${stats.days >= 2 ? `\u00B1${I18n.number(stats.volatility)}` : '\u2014'}</div>
+              <div class="stat-label">${t('stats.volatility')}</div>
+              <div class="stat-detail">${t('stats.volatilityDetail')}</div>
+            </div>
+            <div class="stat-card">
+              <div class="stat-value small">${stats.weekdays ? I18n.weekdayNames[stats.weekdays.best.day] : '\u2014'}</div>
+              <div class="stat-label">${t('stats.bestDay')}</div>
+              ${stats.weekdays ? `<div class="stat-detail">${I18n.number(stats.weekdays.best.average)}/${Scale.points}</div>` : ''}
+            </div>
+            <div class="stat-card">
+              <div class="stat-value small">${stats.weekdays ? I18n.weekdayNames[stats.weekdays.worst.day] : '\u2014'}</div>
+              <div class="stat-label">${t('stats.worstDay')}</div>
+              ${stats.weekdays ? `<div class="stat-detail">${I18n.number(stats.weekdays.worst.average)}/${Scale.points}</div>` : ''}
+            </div>
+          </div>
+
+          <div class="distribution timeline">
+            <h3>${t('stats.evolution')}</h3>
+            ${Timeline.render(stats.timeline)}
+          </div>
+
+          <div class="distribution">
+            <h3>${t('stats.distribution')}</h3>
+            ${Scale.emojis.map((emoji, i) => `
+              <div class="dist-row">
+                <span class="dist-emoji" aria-hidden="true">${emoji}</span>
+                <div class="dist-bar-container" role="progressbar"
+                     aria-valuenow="${stats.distribution[i]}" aria-valuemin="0"
+                     aria-valuemax="${maxDist}" aria-label="${Scale.labels[i]}">
+                  <div class="dist-bar" style="width:${(stats.distribution[i] / maxDist) * 100}%"></div>
+                </div>
+                <span class="dist-count">${stats.distribution[i]}</span>
+              </div>
+            `).join('')}
+          </div>
+
+          <div class="distribution tag-stats">
+            <h3>${t('stats.byTag')}</h3>
+            ${tagStats.length === 0 ? `<p class="settings-hint">${t('stats.noTags')}</p>` : `
+              <p class="settings-hint">${t('stats.tagsHint', { average: I18n.number(stats.average) })}</p>
+              <ul class="tag-stats-list">
+                ${tagStats.map(row => `
+                  <li class="tag-stats-row">
+                    <span class="tag-chip small">${escapeHtml(row.tag)}</span>
+                    <span class="tag-stats-count">${t('common.entries', { count: row.count })}</span>
+                    <span class="tag-stats-avg"><span aria-hidden="true">${Scale.emoji(row.average)}</span> ${I18n.number(row.average)}</span>
+                    <span class="tag-stats-delta ${row.delta > 0.05 ? 'up' : row.delta < -0.05 ? 'down' : ''}">${signed(row.delta, 1)}</span>
+                  </li>
+                `).join('')}
+              </ul>
+            `}
+          </div>
+
+        </div>
+      `;
+
+      Timeline.bind(this.app, stats.timeline);
+
+      this.app.querySelectorAll('[data-period]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const mode = btn.dataset.period;
+          if (mode === period.mode) return;
+          if (mode === 'custom') {
+            // Start from the period currently shown
+            period.from = range.from;
+            period.to = range.to;
+          } else if (period.mode === 'custom') {
+            period.anchor = new Date(range.to + 'T00:00:00');
+          }
+          period.mode = mode;
+          this.renderStats();
+          Router.record();
+        });
+      });
+
+      if (period.mode === 'custom') {
+        this.app.querySelector('#stats-range-form').addEventListener('submit', (e) => {
+          e.preventDefault();
+          const from = this.app.querySelector('#stats-from').value;
+          const to = this.app.querySelector('#stats-to').value;
+          if (!isValidDate(from) || !isValidDate(to)) return;
+          Object.assign(period, Stats.range({ mode: 'custom', from, to }));
+          this.renderStats();
+          Router.record();
+        });
+      } else {
+        this.app.querySelector('#stats-prev').addEventListener('click', () => {
+          period.anchor = Stats.shift(period, -1);
+          this.renderStats();
+          Router.record();
+        });
+
+        this.app.querySelector('#stats-next').addEventListener('click', () => {
+          period.anchor = Stats.shift(period, 1);
+          this.renderStats();
+          Router.record();
+        });
+      }
+    },
+
+    // ── Settings view ──
+
+    renderSettings() {
+      this.app.innerHTML = `
+        <div class="view settings-view">
+          <h2>${t('settings.title')}</h2>
+
+          <div class="notification-settings">
+            <h3>${t('reminders.title')}</h3>
+            ${Notifications.reminders.length ? `
+              <ul class="reminder-list">
+                ${Notifications.reminders.map(r => `
+                  <li class="reminder-item">
+                    <span class="reminder-time">${r.time}</span>
+                    <span class="reminder-days">${Notifications.describeDays(r.days)}</span>
+                    <button class="reminder-remove" data-id="${r.id}" aria-label="${t('reminders.remove', { time: r.time })}">\u2715</button>
+                  </li>
+                `).join('')}
+              </ul>
+              <p class="settings-hint">${t(Notifications.mode === 'page' ? 'reminders.pageOnly' : 'reminders.background')} ${t('reminders.skipLogged')}</p>
+            ` : `<p class="settings-hint">${t('reminders.none')}</p>`}
+            <form id="reminder-form" class="reminder-row">
+              <label for="reminder-time">${t('reminders.new')}</label>
+              <input type="time" id="reminder-time" value="20:00" required>
+              <div class="reminder-weekdays" role="group" aria-label="${t('reminders.days')}">
+                ${I18n.weekOrder().map(day => `
+                  <button type="button" class="tag-chip small" data-day="${day}" aria-pressed="true" aria-label="${I18n.weekdayNames[day]}">${I18n.dayNames[day]}</button>
+                `).join('')}
+              </div>
+              <button type="submit" class="btn-secondary">${t('common.add')}</button>
+            </form>
+          </div>
+
+          <div class="theme-settings">
+            <h3>${t('theme.title')}</h3>
+            <div class="cal-mode" role="group" aria-label="${t('theme.title')}">
+              ${Settings.SCHEMA.theme.values.map(theme => `
+                <button class="cal-mode-btn" data-theme="${theme}" aria-pressed="${theme === Settings.get('theme')}">${t(`theme.${theme}`)}</button>
+              `).join('')}
+            </div>
+          </div>
+
+          <div class="language-settings">
+            <h3>${t('language.title')}</h3>
+            <div class="reminder-row">
+              <label for="language-select">${t('language.label')}</label>
+              <select id="language-select">
+                <option value="">${t('language.auto', { language: I18n.LANGUAGES[I18n.detect()] })}</option>
+                ${Object.entries(I18n.LANGUAGES).map(([lang, name]) => `
+                  <option value="${lang}" lang="${lang}"${lang === I18n.getSetting() ? ' selected' : ''}>${name}</option>
+                `).join('')}
+              </select>
+            </div>
+          </div>
+
+          <div class="scale-settings">
+            <h3>${t('scale.title')}</h3>
+            <form id="scale-form">
+              <div class="reminder-row">
+                <label for="scale-points">${t('scale.points')}</label>
+                <select id="scale-points">
+                  ${Object.keys(Scale.PRESETS).map(n => `<option value="${n}"${Number(n) === Scale.points ? ' selected' : ''}>${n}</option>`).join('')}
+                </select>
+              </div>
+              <ol id="scale-levels" class="scale-levels"></ol>
+              <p class="settings-hint">${t('scale.hint')}</p>
+              <button type="submit" class="btn-secondary">${t('scale.save')}</button>
+            </form>
+            <p id="scale-feedback" class="form-error" role="alert"></p>
+          </div>
+
+          <div class="backup-settings">
+            <h3>${t('backup.title')}</h3>
+            <div class="backup-row">
+              <button id="export-json" class="btn-secondary">${t('backup.exportJSON')}</button>
+              <button id="export-csv" class="btn-secondary">${t('backup.exportCSV')}</button>
+              <button id="export-encrypted" class="btn-secondary">${t('backup.exportEncrypted')}</button>
+              <button id="import-btn" class="btn-secondary">${t('backup.import')}</button>
+              <input type="file" id="import-file" accept=".moodjournal,.json,.csv,application/json,text/csv" hidden>
+            </div>
+            <form id="export-encrypted-form" class="vault-form" hidden>
+              <input type="password" id="export-passphrase" placeholder="${t('backup.passphrase')}" aria-label="${t('backup.passphrase')}" autocomplete="new-password" minlength="8" required>
+              <input type="password" id="export-passphrase-confirm" placeholder="${t('common.confirm')}" aria-label="${t('backup.confirmPassphrase')}" autocomplete="new-password" required>
+              <button type="submit" class="btn-secondary">${t('backup.download')}</button>
+            </form>
+            <div id="import-preview" aria-live="polite"></div>
+          </div>
+
+          <div class="storage-settings">
+            <h3>${t('storage.title')}</h3>
+            <p id="storage-usage" class="settings-hint"></p>
+            <meter id="storage-meter" min="0" max="1" value="0" hidden></meter>
+            <p id="storage-photos" class="settings-hint"></p>
+            <p id="storage-persisted" class="settings-hint"></p>
+            <button id="storage-persist" class="btn-secondary" hidden>${t('storage.persist')}</button>
+          </div>
+
+          <div class="security-settings">
+            <h3>${t('vault.title')}</h3>
+            ${Vault.isEnabled() ? `
+              <p class="settings-hint">${t('vault.enabled')}</p>
+              <div class="backup-row">
+                <button id="vault-lock" class="btn-secondary">${t('vault.lockNow')}</button>
+              </div>
+              <details class="vault-details">
+                <summary>${t('vault.change')}</summary>
+                <form id="vault-change-form" class="vault-form">
+                  <input type="password" id="vault-old" placeholder="${t('vault.current')}" aria-label="${t('vault.currentLabel')}" autocomplete="current-password" required>
+                  <input type="password" id="vault-new" placeholder="${t('vault.new')}" aria-label="${t('vault.newLabel')}" autocomplete="new-password" minlength="8" required>
+                  <input type="password" id="vault-confirm" placeholder="${t('common.confirm')}" aria-label="${t('vault.confirmNewLabel')}" autocomplete="new-password" required>
+                  <button type="submit" class="btn-secondary">${t('vault.changeSubmit')}</button>
+                </form>
+              </details>
+              <details class="vault-details">
+                <summary>${t('vault.disable')}</summary>
+                <form id="vault-disable-form" class="vault-form">
+                  <input type="password" id="vault-current" placeholder="${t('vault.current')}" aria-label="${t('vault.currentLabel')}" autocomplete="current-password" required>
+                  <button type="submit" class="btn-danger">${t('vault.disableSubmit')}</button>
+                </form>
+              </details>
+            ` : `
+              <p class="settings-hint">${t('vault.intro')}</p>
+              <form id="vault-enable-form" class="vault-form">
+                <input type="password" id="vault-new" placeholder="${t('vault.passphrase')}" aria-label="${t('vault.passphrase')}" autocomplete="new-password" minlength="8" required>
+                <input type="password" id="vault-confirm" placeholder="${t('common.confirm')}" aria-label="${t('vault.confirmLabel')}" autocomplete="new-password" required>
+                <button type="submit" class="btn-secondary">${t('vault.enableSubmit')}</button>
+              </form>
+            `}
+            <p id="vault-feedback" class="form-error" role="alert"></p>
+          </div>
+
+          <div class="reset-settings">
+            <h3>${t('reset.title')}</h3>
+            <p class="settings-hint">${t('reset.hint')}</p>
+            <button id="reset-all" class="btn-danger">${t('reset.button')}</button>
+            <p id="reset-feedback" class="form-error" role="alert"></p>
+          </div>
+        </div>
+      `;
+
+      this.bindReminders();
+      this.bindTheme();
+      this.bindLanguage();
+      this.bindScale();
+      this.bindBackup();
+      this.bindStorage();
+      this.bindSecurity();
+      this.bindReset();
+    },
+
+    // ── Reminders ──
+
+    bindReminders() {
+      this.app.querySelectorAll('.reminder-remove').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          await Notifications.remove(btn.dataset.id);
+          this.renderSettings();
+        });
+      });
+
+      this.app.querySelectorAll('.reminder-weekdays [data-day]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          btn.setAttribute('aria-pressed', String(btn.getAttribute('aria-pressed') !== 'true'));
+        });
+      });
+
+      this.app.querySelector('#reminder-form').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const time = this.app.querySelector('#reminder-time').value;
+        const days = [...this.app.querySelectorAll('.reminder-weekdays [aria-pressed="true"]')]
+          .map(btn => Number(btn.dataset.day));
+        if (!time || days.length === 0) return;
+
+        const granted = await Notifications.requestPermission();
+        if (granted) {
+          const first = Notifications.reminders.length === 0;
+          await Notifications.add(time, days);
+          if (first) Notifications.sendTestNotification();
+          this.renderSettings();
+        } else {
+          const old = this.app.querySelector('.notif-denied');
+          if (old) old.remove();
+          const msg = document.createElement('p');
+          msg.className = 'notif-denied';
+          msg.setAttribute('role', 'alert');
+          msg.textContent = t('reminders.denied');
+          this.app.querySelector('.notification-settings').appendChild(msg);
+          setTimeout(() => msg.remove(), 5000);
+        }
+      });
+    },
+
+    // ── Theme ──
+
+    // 'system' leaves the colours to prefers-color-scheme (style.css)
+    applyTheme() {
+      const theme = Settings.get('theme');
+      if (theme === 'system') delete document.documentElement.dataset.theme;
+      else document.documentElement.dataset.theme = theme;
+    },
+
+    bindTheme() {
+      this.app.querySelectorAll('[data-theme]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          Settings.set('theme', btn.dataset.theme);
+          this.applyTheme();
+          this.app.querySelectorAll('[data-theme]').forEach(b => {
+            b.setAttribute('aria-pressed', String(b === btn));
+          });
+        });
+      });
+    },
+
+    // ── Reset ──
+
+    // Everything this device keeps: scheduled reminders, the service worker
+    // and its caches, settings, then the database. Check-ins already on the
+    // sync server come back with the first sync after the reload.
+    bindReset() {
+      const btn = this.app.querySelector('#reset-all');
+      btn.addEventListener('click', async () => {
+        if (!confirm(t('reset.confirm'))) return;
+        btn.disabled = true;
+        try {
+          await Notifications.save([]);
+          if ('serviceWorker' in navigator) {
+            const regs = await navigator.serviceWorker.getRegistrations();
+            await Promise.all(regs.map(reg => reg.unregister()));
+          }
+          if ('caches' in window) {
+            const keys = await caches.keys();
+            await Promise.all(keys.map(key => caches.delete(key)));
+          }
+          // Settings, vault config included, only go once the notes are gone
+          await DB.destroy();
+          localStorage.clear();
+        } catch (err) {
+          console.error('Reset failed:', err);
+          this.app.querySelector('#reset-feedback').textContent = t('reset.failed');
+          btn.disabled = false;
+          return;
         }
+        location.replace(location.pathname);
       });
+    },
 
-      document.getElementById('notif-dismiss').addEventListener('click', () => {
-        banner.hidden = true;
-        localStorage.setItem('notifBannerDismissed', formatDate(new Date()));
+    // ── Backup (export / import) ──
+
+    bindBackup() {
+      const today = formatDate(new Date());
+      const fileInput = this.app.querySelector('#import-file');
+      const previewEl = this.app.querySelector('#import-preview');
+
+      const basename = `${t('backup.filename')}-${today}`;
+
+      this.app.querySelector('#export-json').addEventListener('click', async () => {
+        downloadFile(basename + Backup.EXTENSION, await Backup.exportJSON(), Backup.MIME_TYPE);
       });
-    },
 
-    async sendTestNotification() {
-      if (!('Notification' in window) || Notification.permission !== 'granted') return;
+      this.app.querySelector('#export-csv').addEventListener('click', async () => {
+        downloadFile(`${basename}.csv`, await Backup.exportCSV(), 'text/csv;charset=utf-8');
+      });
 
-      if ('serviceWorker' in navigator) {
-        try {
-          const reg = await navigator.serviceWorker.ready;
-          await reg.showNotification("Journal d'humeur", {
-            body: 'Les notifications sont activées !',
-            icon: 'icons/icon-192.svg',
-            tag: 'mood-test'
-          });
+      const encryptedForm = this.app.querySelector('#export-encrypted-form');
+      this.app.querySelector('#export-encrypted').addEventListener('click', () => {
+        encryptedForm.hidden = !encryptedForm.hidden;
+        if (!encryptedForm.hidden) encryptedForm.querySelector('input').focus();
+      });
+
+      encryptedForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const pass = encryptedForm.querySelector('#export-passphrase').value;
+        const confirmPass = encryptedForm.querySelector('#export-passphrase-confirm');
+        if (pass !== confirmPass.value) {
+          confirmPass.setCustomValidity(t('backup.mismatch'));
+          confirmPass.reportValidity();
           return;
-        } catch (_) { /* fall through */ }
-      }
+        }
+        downloadFile(`${basename}.${t('backup.encryptedSuffix')}${Backup.EXTENSION}`, await Backup.exportEncrypted(pass), Backup.MIME_TYPE);
+        encryptedForm.reset();
+        encryptedForm.hidden = true;
+      });
+      encryptedForm.addEventListener('input', () => {
+        encryptedForm.querySelector('#export-passphrase-confirm').setCustomValidity('');
+      });
 
-      new Notification("Journal d'humeur", {
-        body: 'Les notifications sont activées !',
-        icon: 'icons/icon-192.svg'
+      this.app.querySelector('#import-btn').addEventListener('click', () => fileInput.click());
+
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) this.importFile(previewEl, file);
       });
-    },
 
-    stopReminder() {
-      if (this.intervalId) {
-        clearInterval(this.intervalId);
-        this.intervalId = null;
+      // A file opened with the app from the OS (see Launch)
+      if (this.launchedFile) {
+        const file = this.launchedFile;
+        this.launchedFile = null;
+        this.importFile(previewEl, file).then(() => previewEl.scrollIntoView({ block: 'nearest' }));
       }
-      localStorage.removeItem('reminderTime');
     },
 
-    isActive() {
-      return ('Notification' in window) && Notification.permission === 'granted' && !!localStorage.getItem('reminderTime');
+    // Preview of a backup, or the importer for another app's CSV. A file
+    // that can't be read at all gets an error in place of the preview.
+    async importFile(container, file) {
+      try {
+        const text = await file.text();
+        if (Backup.isEncrypted(text)) {
+          this.renderImportPassphrase(container, file.name, text);
+          return;
+        }
+        if (!Backup.isJSON(text, file.name)) {
+          const table = Backup.readTable(text);
+          const adapter = Importers.detect(table);
+          if (adapter) {
+            this.renderImporter(container, file.name, table, adapter);
+            return;
+          }
+        }
+        const { rows, errors } = Backup.parse(text, file.name);
+        const preview = await Backup.preview(rows);
+        this.renderImportPreview(container, file.name, preview, errors);
+      } catch (err) {
+        console.warn('Import failed:', err);
+        container.innerHTML = `
+          <div class="import-preview">
+            <p class="import-file">${escapeHtml(file.name)}</p>
+            <p class="form-error" role="alert">${t('import.unreadable')}</p>
+          </div>
+        `;
+      }
     },
 
-    scheduleCheck(time) {
-      if (this.intervalId) clearInterval(this.intervalId);
-      this.intervalId = setInterval(() => {
-        const now = new Date();
-        const hh = String(now.getHours()).padStart(2, '0');
-        const mm = String(now.getMinutes()).padStart(2, '0');
-        const currentTime = `${hh}:${mm}`;
-        const today = formatDate(now);
-        const lastNotif = localStorage.getItem('lastNotificationDate');
+    // CSV of another app: pick the format and mapping, with a dry run of
+    // the import below that follows every change
+    renderImporter(container, filename, table, adapter) {
+      let options = adapter.options(table);
+
+      container.innerHTML = `
+        <form class="importer-form">
+          <div class="reminder-row">
+            <label for="importer-format">${t('import.format')}</label>
+            <select id="importer-format">
+              ${Importers.adapters.map(a => `<option value="${a.id}"${a === adapter ? ' selected' : ''}>${t(`import.format.${a.id}`)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="importer-options"></div>
+        </form>
+        <div class="importer-result"></div>
+      `;
+      const form = container.querySelector('.importer-form');
+      const optionsEl = form.querySelector('.importer-options');
+      const resultEl = container.querySelector('.importer-result');
+
+      let generation = 0;
+      const dryRun = async () => {
+        const run = ++generation;
+        const { rows, errors } = Importers.run(adapter, table, options);
+        const preview = await Backup.preview(rows);
+        if (run === generation) this.renderImportPreview(resultEl, filename, preview, errors, container);
+      };
+
+      const showOptions = () => {
+        optionsEl.innerHTML = adapter.renderOptions(table, options);
+        dryRun();
+      };
+
+      form.querySelector('#importer-format').addEventListener('change', (e) => {
+        adapter = Importers.get(e.target.value);
+        options = adapter.options(table);
+        showOptions();
+      });
+      optionsEl.addEventListener('change', () => {
+        const hadHeader = options.hasHeader;
+        options = adapter.readOptions(form);
+        // Column names and samples move with the header row
+        if (options.hasHeader !== hadHeader) showOptions();
+        else dryRun();
+      });
+      form.addEventListener('submit', (e) => e.preventDefault());
 
-        if (currentTime === time && lastNotif !== today) {
-          this.showReminder();
-          localStorage.setItem('lastNotificationDate', today);
-        }
-      }, 30000);
+      showOptions();
     },
 
-    async showReminder() {
-      if (!('Notification' in window) || Notification.permission !== 'granted') return;
-
-      if ('serviceWorker' in navigator) {
+    renderImportPassphrase(container, filename, text) {
+      container.innerHTML = `
+        <div class="import-preview">
+          <p class="import-file">${escapeHtml(filename)}</p>
+          <form class="vault-form" id="import-passphrase-form">
+            <input type="password" id="import-passphrase" placeholder="${t('backup.passphrase')}" aria-label="${t('backup.passphrase')}" autocomplete="off" required>
+            <button type="submit" class="btn-secondary">${t('backup.decrypt')}</button>
+          </form>
+          <p class="form-error" role="alert"></p>
+        </div>
+      `;
+      const form = container.querySelector('#import-passphrase-form');
+      const input = form.querySelector('input');
+      input.focus();
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        let inner;
         try {
-          const reg = await navigator.serviceWorker.ready;
-          await reg.showNotification("Journal d'humeur", {
-            body: "N'oubliez pas de noter votre humeur aujourd'hui !",
-            icon: 'icons/icon-192.svg',
-            tag: 'mood-reminder'
-          });
+          inner = await Backup.decryptBackup(text, input.value);
+        } catch (_) {
+          container.querySelector('.form-error').textContent = t('vault.wrong');
+          input.select();
           return;
-        } catch (_) { /* fall through */ }
-      }
-
-      new Notification("Journal d'humeur", {
-        body: "N'oubliez pas de noter votre humeur aujourd'hui !",
-        icon: 'icons/icon-192.svg'
+        }
+        const { rows, errors } = Backup.parse(inner, 'backup.json');
+        this.renderImportPreview(container, filename, await Backup.preview(rows), errors);
       });
-    }
-  };
-
-  // ── UI Module ──
+    },
 
-  const UI = {
-    app: null,
+    // ── Language and mood scale settings ──
 
-    init() {
-      this.app = document.getElementById('app');
+    // Scale labels and triggered reminders were written in the old language
+    bindLanguage() {
+      this.app.querySelector('#language-select').addEventListener('change', async (e) => {
+        await I18n.set(e.target.value);
+        await Scale.load();
+        Notifications.schedule().catch(err => console.warn('Reminder scheduling failed:', err));
+        this.renderSettings();
+      });
     },
 
-    render(tab, data) {
-      switch (tab) {
-        case 'add':      this.renderAdd(data);      break;
-        case 'calendar': this.renderCalendar();      break;
-        case 'stats':    this.renderStats();         break;
-        case 'history':  this.renderHistory();       break;
-      }
+    bindScale() {
+      const form = this.app.querySelector('#scale-form');
+      const select = form.querySelector('#scale-points');
+      const list = form.querySelector('#scale-levels');
+      const feedback = this.app.querySelector('#scale-feedback');
+
+      const fill = () => {
+        const points = Number(select.value);
+        const def = points === Scale.points ? Scale : Scale.preset(points);
+        list.innerHTML = def.emojis.map((emoji, i) => `
+          <li class="scale-level">
+            <input type="text" class="scale-emoji" value="${emoji}" aria-label="${t('scale.emoji', { level: i + 1 })}" maxlength="8" required>
+            <input type="text" class="scale-label" value="${def.labels[i]}" aria-label="${t('scale.label', { level: i + 1 })}" maxlength="30" required>
+          </li>
+        `).join('');
+      };
+
+      fill();
+      select.addEventListener('change', fill);
+
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const emojis = [...list.querySelectorAll('.scale-emoji')].map(input => input.value);
+        const labels = [...list.querySelectorAll('.scale-label')].map(input => input.value);
+        try {
+          await Scale.save(Number(select.value), emojis, labels);
+        } catch (_) {
+          feedback.textContent = t('scale.invalid');
+          return;
+        }
+        // Mood filters were on the old scale
+        HistoryList.filters.moods = [];
+        this.renderSettings();
+      });
     },
 
-    // ── Add / Edit view ──
+    // ── Storage settings ──
+
+    // Photos make the journal grow quickly: show what the browser grants us,
+    // and ask it not to evict the data under storage pressure
+    async bindStorage() {
+      const usageEl = this.app.querySelector('#storage-usage');
+      const meter = this.app.querySelector('#storage-meter');
+      const photosEl = this.app.querySelector('#storage-photos');
+      const persistedEl = this.app.querySelector('#storage-persisted');
+      const persistBtn = this.app.querySelector('#storage-persist');
+      const storage = navigator.storage;
+
+      const photos = await DB.getAllPhotos();
+      const photoBytes = photos.reduce((sum, p) => sum + p.blob.size + p.thumb.size, 0);
+      photosEl.textContent = t('storage.photos', { count: photos.length, size: formatBytes(photoBytes) });
+
+      if (storage && storage.estimate) {
+        const { usage, quota } = await storage.estimate();
+        usageEl.textContent = t('storage.usage', { used: formatBytes(usage), quota: formatBytes(quota) });
+        meter.value = quota ? usage / quota : 0;
+        meter.high = 0.8;
+        meter.hidden = false;
+      } else {
+        usageEl.textContent = t('storage.unavailable');
+      }
 
-    renderAdd(editDate) {
-      const date = editDate || formatDate(new Date());
-      let selectedMood = null;
+      const showPersisted = (persisted) => {
+        persistedEl.textContent = t(persisted ? 'storage.persisted' : 'storage.notPersisted');
+        persistBtn.hidden = persisted || !(storage && storage.persist);
+      };
+      showPersisted(!!(storage && storage.persisted && await storage.persisted()));
 
-      this.app.innerHTML = `
-        <div class="view add-view">
-          <h2>Comment vous sentez-vous ?</h2>
-          <div class="mood-selector" role="radiogroup" aria-label="Niveau d'humeur">
-            ${MOODS.map((emoji, i) => `
-              <button class="mood-btn" data-mood="${i + 1}"
-                      role="radio" aria-checked="false"
-                      aria-label="${MOOD_LABELS[i]}">${emoji}</button>
-            `).join('')}
-          </div>
-          <div class="form-group">
-            <label for="entry-date">Date</label>
-            <input type="date" id="entry-date" value="${date}">
-          </div>
-          <div class="form-group">
-            <label for="entry-note">Note (optionnel)</label>
-            <textarea id="entry-note" placeholder="Comment s'est passée votre journée ?" rows="3"></textarea>
-          </div>
-          <button id="save-entry" class="btn-primary" disabled>Enregistrer</button>
-          <div id="save-feedback" class="feedback" role="status"></div>
-        </div>
-      `;
+      persistBtn.addEventListener('click', async () => {
+        const granted = await storage.persist();
+        showPersisted(granted);
+        if (!granted) persistedEl.textContent = t('storage.persistDenied');
+      });
+    },
 
-      const moodBtns = this.app.querySelectorAll('.mood-btn');
-      const dateInput = this.app.querySelector('#entry-date');
-      const noteInput = this.app.querySelector('#entry-note');
-      const saveBtn = this.app.querySelector('#save-entry');
-      const feedback = this.app.querySelector('#save-feedback');
+    // ── Note encryption settings ──
 
-      function selectMood(value) {
-        selectedMood = value;
-        moodBtns.forEach(b => {
-          const isSelected = Number(b.dataset.mood) === value;
-          b.classList.toggle('selected', isSelected);
-          b.setAttribute('aria-checked', String(isSelected));
-        });
-        saveBtn.disabled = false;
-      }
+    bindSecurity() {
+      const feedback = this.app.querySelector('#vault-feedback');
+      const fail = (msg) => { feedback.textContent = msg; };
 
-      function loadEntry(dateStr) {
-        DB.get(dateStr).then(entry => {
-          moodBtns.forEach(b => {
-            b.classList.remove('selected');
-            b.setAttribute('aria-checked', 'false');
-          });
-          selectedMood = null;
-          noteInput.value = '';
-          saveBtn.disabled = true;
+      const readNewPassphrase = (form) => {
+        const pass = form.querySelector('#vault-new').value;
+        if (pass !== form.querySelector('#vault-confirm').value) {
+          fail(t('vault.mismatch'));
+          return null;
+        }
+        return pass;
+      };
 
-          if (entry) {
-            selectMood(entry.mood);
-            noteInput.value = entry.note || '';
-          }
-        });
+      const busy = (form, fn) => async (e) => {
+        e.preventDefault();
+        const btn = form.querySelector('button[type="submit"]');
+        btn.disabled = true;
+        feedback.textContent = '';
+        try {
+          await fn();
+        } catch (err) {
+          console.error('Vault operation failed:', err);
+          fail(t('vault.failed'));
+        } finally {
+          btn.disabled = false;
+        }
+      };
+
+      const enableForm = this.app.querySelector('#vault-enable-form');
+      if (enableForm) {
+        enableForm.addEventListener('submit', busy(enableForm, async () => {
+          const pass = readNewPassphrase(enableForm);
+          if (!pass) return;
+          await Vault.enable(pass);
+          this.renderSettings();
+        }));
+        return;
       }
 
-      loadEntry(date);
-
-      moodBtns.forEach(btn => {
-        btn.addEventListener('click', () => selectMood(Number(btn.dataset.mood)));
+      this.app.querySelector('#vault-lock').addEventListener('click', () => {
+        Vault.lock();
+        Router.navigate(Router.currentTab);
       });
 
-      dateInput.addEventListener('change', () => loadEntry(dateInput.value));
+      const changeForm = this.app.querySelector('#vault-change-form');
+      changeForm.addEventListener('submit', busy(changeForm, async () => {
+        const pass = readNewPassphrase(changeForm);
+        if (!pass) return;
+        if (!(await Vault.changePassphrase(changeForm.querySelector('#vault-old').value, pass))) {
+          fail(t('vault.wrongCurrent'));
+          return;
+        }
+        this.renderSettings();
+      }));
 
-      saveBtn.addEventListener('click', async () => {
-        if (!selectedMood) return;
-        const isOnline = navigator.onLine;
-        await DB.put({
-          date: dateInput.value,
-          mood: selectedMood,
-          note: noteInput.value.trim(),
-          timestamp: Date.now(),
-          synced: isOnline
-        });
-        feedback.textContent = isOnline
-          ? 'Humeur enregistrée !'
-          : 'Humeur sauvegardée localement (en attente de synchronisation)';
-        feedback.classList.add('show');
-        setTimeout(() => feedback.classList.remove('show'), 3000);
-      });
+      const disableForm = this.app.querySelector('#vault-disable-form');
+      disableForm.addEventListener('submit', busy(disableForm, async () => {
+        if (!(await Vault.disable(disableForm.querySelector('#vault-current').value))) {
+          fail(t('vault.wrong'));
+          return;
+        }
+        this.renderSettings();
+      }));
     },
 
-    // ── Calendar view ──
+    // ── Lock screen ──
 
-    async renderCalendar() {
-      const year = Calendar.currentDate.getFullYear();
-      const month = Calendar.currentDate.getMonth();
-      const entries = await DB.getByMonth(year, month);
+    renderLock(onUnlock) {
+      const tabBar = document.getElementById('tab-bar');
+      tabBar.hidden = true;
+
+      this.app.innerHTML = `
+        <div class="view lock-view">
+          <div class="lock-icon" aria-hidden="true">\u{1F512}</div>
+          <h2>${t('lock.title')}</h2>
+          <form id="unlock-form">
+            <div class="form-group">
+              <label for="unlock-passphrase">${t('vault.passphrase')}</label>
+              <input type="password" id="unlock-passphrase" autocomplete="current-password" required>
+            </div>
+            <button type="submit" class="btn-primary">${t('lock.unlock')}</button>
+            <p id="unlock-error" class="form-error" role="alert"></p>
+          </form>
+        </div>
+      `;
 
-      this.app.innerHTML = `<div class="view calendar-view">${Calendar.render(entries)}</div>`;
+      const form = this.app.querySelector('#unlock-form');
+      const input = form.querySelector('#unlock-passphrase');
+      const btn = form.querySelector('button');
+      input.focus();
 
-      this.app.querySelector('#prev-month').addEventListener('click', () => {
-        Calendar.currentDate = new Date(year, month - 1, 1);
-        this.renderCalendar();
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        btn.disabled = true;
+        btn.textContent = t('lock.checking');
+        const ok = await Vault.unlock(input.value);
+        if (ok) {
+          tabBar.hidden = false;
+          Sync.schedule();
+          onUnlock();
+          return;
+        }
+        btn.disabled = false;
+        btn.textContent = t('lock.unlock');
+        form.querySelector('#unlock-error').textContent = t('vault.wrong');
+        input.select();
       });
+    },
 
-      this.app.querySelector('#next-month').addEventListener('click', () => {
-        Calendar.currentDate = new Date(year, month + 1, 1);
-        this.renderCalendar();
+    // `root` is what cancelling clears and the result replaces, when the
+    // preview is part of a bigger form (renderImporter)
+    renderImportPreview(container, filename, preview, errors, root = container) {
+      const dateList = (rows) => rows.map(r => `<li>${formatDateDisplay(r.date)}${r.time ? ' · ' + r.time : ''}</li>`).join('');
+      const section = (key, title, rows) => rows.length === 0 ? '' : `
+        <details class="import-group ${key}">
+          <summary>${title} <span class="import-count">${rows.length}</span></summary>
+          <ul>${dateList(rows)}</ul>
+        </details>
+      `;
+      const importable = preview.new.length + preview.changed.length + preview.conflicts.length;
+
+      container.innerHTML = `
+        <div class="import-preview">
+          <p class="import-file">${escapeHtml(filename)}</p>
+          ${section('new', t('import.new'), preview.new)}
+          ${section('changed', t('import.changed'), preview.changed)}
+          ${section('conflicts', t('import.conflicts'), preview.conflicts)}
+          ${preview.unchanged.length ? `<p class="import-unchanged">${t('import.unchanged', { count: preview.unchanged.length })}</p>` : ''}
+          ${errors.length ? `
+            <details class="import-group errors" open>
+              <summary>${t('import.rejected')} <span class="import-count">${errors.length}</span></summary>
+              <ul>${errors.map(e => `<li>${e.line ? t('import.line', { line: e.line }) : ''}${escapeHtml(e.message)}</li>`).join('')}</ul>
+            </details>
+          ` : ''}
+          ${importable === 0 ? `<p class="import-unchanged">${t('import.nothing')}</p>` : `
+            <fieldset class="import-mode">
+              <legend>${t('import.conflictMode')}</legend>
+              <label><input type="radio" name="import-mode" value="merge" checked> ${t('import.merge')}</label>
+              <label><input type="radio" name="import-mode" value="overwrite"> ${t('import.overwrite')}</label>
+            </fieldset>
+          `}
+          <div class="backup-row">
+            ${importable === 0 ? '' : `<button id="import-confirm" class="btn-secondary">${t('import.confirm')}</button>`}
+            <button id="import-cancel" class="install-btn-dismiss">${t('common.cancel')}</button>
+          </div>
+        </div>
+      `;
+
+      container.querySelector('#import-cancel').addEventListener('click', () => {
+        root.innerHTML = '';
       });
 
-      this.app.querySelectorAll('.cal-cell:not(.empty)').forEach(cell => {
-        cell.addEventListener('click', () => Router.navigate('add', cell.dataset.date));
-        cell.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            Router.navigate('add', cell.dataset.date);
-          }
+      const confirmBtn = container.querySelector('#import-confirm');
+      if (confirmBtn) {
+        confirmBtn.addEventListener('click', async () => {
+          const mode = container.querySelector('input[name="import-mode"]:checked').value;
+          const count = await Backup.apply(preview, mode);
+          Sync.schedule();
+          root.innerHTML = `<p class="import-done" role="status">${t('import.done', { count })}</p>`;
         });
-      });
+      }
     },
 
-    // ── Stats view ──
-
-    async renderStats() {
-      const year = Calendar.currentDate.getFullYear();
-      const month = Calendar.currentDate.getMonth();
-      const entries = await DB.getByMonth(year, month);
-      const stats = Stats.calculate(entries);
-
-      const trendIcon = stats.trend === 'up' ? '\u2197\uFE0F' : stats.trend === 'down' ? '\u2198\uFE0F' : '\u27A1\uFE0F';
-      const trendLabel = stats.trend === 'up' ? 'En hausse' : stats.trend === 'down' ? 'En baisse' : 'Stable';
-      const avgIdx = Math.round(stats.average) - 1;
-      const avgEmoji = avgIdx >= 0 ? MOODS[avgIdx] : '\u2014';
-      const maxDist = Math.max(...stats.distribution, 1);
+    // ── History view ──
 
+    async renderHistory() {
+      const filters = HistoryList.filters;
       this.app.innerHTML = `
-        <div class="view stats-view">
-          <div class="stats-month-nav">
-            <button class="cal-nav" id="stats-prev" aria-label="Mois précédent">\u25C0</button>
-            <h2>${MONTH_NAMES[month]} ${year}</h2>
-            <button class="cal-nav" id="stats-next" aria-label="Mois suivant">\u25B6</button>
-          </div>
-
-          <div class="stats-cards">
-            <div class="stat-card">
-              <div class="stat-value">${avgEmoji}</div>
-              <div class="stat-label">Humeur moyenne</div>
-              <div class="stat-detail">${stats.average ? stats.average.toFixed(1) + '/5' : 'Aucune donnée'}</div>
-            </div>
-            <div class="stat-card">
-              <div class="stat-value">${stats.count}</div>
-              <div class="stat-label">Entrées</div>
-            </div>
-            <div class="stat-card">
-              <div class="stat-value">${trendIcon}</div>
-              <div class="stat-label">Tendance</div>
-              <div class="stat-detail">${trendLabel}</div>
+        <div class="view history-view">
+          <h2>${t('history.title')}</h2>
+          <div class="history-filters">
+            <input type="search" id="history-search" placeholder="${t('history.search')}"
+                   aria-label="${t('history.searchLabel')}" value="${escapeHtml(filters.query)}">
+            <div class="mood-filter${Scale.points > 5 ? ' dense' : ''}" role="group" aria-label="${t('history.moodFilter')}">
+              ${Scale.emojis.map((emoji, i) => `
+                <button class="mood-filter-btn" data-mood="${i + 1}"
+                        aria-pressed="${filters.moods.includes(i + 1)}"
+                        aria-label="${Scale.labels[i]}">${emoji}</button>
+              `).join('')}
             </div>
-          </div>
-
-          <div class="distribution">
-            <h3>Distribution</h3>
-            ${MOODS.map((emoji, i) => `
-              <div class="dist-row">
-                <span class="dist-emoji" aria-hidden="true">${emoji}</span>
-                <div class="dist-bar-container" role="progressbar"
-                     aria-valuenow="${stats.distribution[i]}" aria-valuemin="0"
-                     aria-valuemax="${maxDist}" aria-label="${MOOD_LABELS[i]}">
-                  <div class="dist-bar" style="width:${(stats.distribution[i] / maxDist) * 100}%"></div>
-                </div>
-                <span class="dist-count">${stats.distribution[i]}</span>
+            <div class="form-row date-filter">
+              <div class="form-group">
+                <label for="history-from">${t('history.from')}</label>
+                <input type="date" id="history-from" value="${filters.from}" max="${filters.to}">
+              </div>
+              <div class="form-group">
+                <label for="history-to">${t('history.to')}</label>
+                <input type="date" id="history-to" value="${filters.to}" min="${filters.from}">
               </div>
-            `).join('')}
-          </div>
-
-          <div class="notification-settings">
-            <h3>Rappel quotidien</h3>
-            <div class="reminder-row">
-              <label for="reminder-time">Heure du rappel :</label>
-              <input type="time" id="reminder-time" value="${localStorage.getItem('reminderTime') || '20:00'}"${Notifications.isActive() ? ' disabled' : ''}>
-              <button id="save-reminder" class="${Notifications.isActive() ? 'btn-danger' : 'btn-secondary'}">${Notifications.isActive() ? 'Désactiver' : 'Activer'}</button>
             </div>
+            <button id="history-clear" class="install-btn-dismiss"${HistoryList.hasFilters() ? '' : ' hidden'}>${t('history.clear')}</button>
+            <button id="history-trash" class="install-btn-dismiss">\u{1F5D1}\uFE0F ${t('trash.title')}</button>
           </div>
+          <p class="history-count" role="status"></p>
+          <div class="entries-list"></div>
         </div>
       `;
 
-      this.app.querySelector('#stats-prev').addEventListener('click', () => {
-        Calendar.currentDate = new Date(year, month - 1, 1);
-        this.renderStats();
+      const searchInput = this.app.querySelector('#history-search');
+      const fromInput = this.app.querySelector('#history-from');
+      const toInput = this.app.querySelector('#history-to');
+      const clearBtn = this.app.querySelector('#history-clear');
+
+      let debounce = null;
+      searchInput.addEventListener('input', () => {
+        clearTimeout(debounce);
+        debounce = setTimeout(() => {
+          filters.query = searchInput.value;
+          this.loadHistoryList();
+        }, 200);
+      });
+
+      this.app.querySelectorAll('.mood-filter-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const mood = Number(btn.dataset.mood);
+          const active = filters.moods.includes(mood);
+          filters.moods = active ? filters.moods.filter(m => m !== mood) : [...filters.moods, mood];
+          btn.setAttribute('aria-pressed', String(!active));
+          this.loadHistoryList();
+        });
       });
 
-      this.app.querySelector('#stats-next').addEventListener('click', () => {
-        Calendar.currentDate = new Date(year, month + 1, 1);
-        this.renderStats();
+      const onDateChange = () => {
+        filters.from = fromInput.value;
+        filters.to = toInput.value;
+        fromInput.max = filters.to;
+        toInput.min = filters.from;
+        this.loadHistoryList();
+      };
+      fromInput.addEventListener('change', onDateChange);
+      toInput.addEventListener('change', onDateChange);
+
+      clearBtn.addEventListener('click', () => {
+        HistoryList.filters = { query: '', moods: [], from: '', to: '' };
+        this.renderHistory();
       });
 
-      this.app.querySelector('#save-reminder').addEventListener('click', async () => {
-        if (Notifications.isActive()) {
-          Notifications.stopReminder();
-          this.renderStats();
-          return;
-        }
+      this.app.querySelector('#history-trash').addEventListener('click', () => Router.navigate('trash'));
 
-        const time = this.app.querySelector('#reminder-time').value;
-        const granted = await Notifications.requestPermission();
-        if (granted) {
-          localStorage.setItem('reminderTime', time);
-          Notifications.scheduleCheck(time);
-          Notifications.sendTestNotification();
-          this.renderStats();
-        } else {
-          const old = this.app.querySelector('.notif-denied');
-          if (old) old.remove();
-          const msg = document.createElement('p');
-          msg.className = 'notif-denied';
-          msg.setAttribute('role', 'alert');
-          msg.textContent = 'Notifications refusées. Activez-les dans les paramètres du navigateur.';
-          this.app.querySelector('.notification-settings').appendChild(msg);
-          setTimeout(() => msg.remove(), 5000);
+      // Delegated: cards come and go as the list scrolls
+      this.app.querySelector('.entries-list').addEventListener('click', async (e) => {
+        const deleteBtn = e.target.closest('.entry-delete');
+        const card = e.target.closest('.entry-card');
+        if (!card) return;
+        if (!deleteBtn) {
+          Router.navigate('add', { date: card.dataset.date, id: Number(card.dataset.id) });
+          return;
         }
+        const id = Number(deleteBtn.dataset.id);
+        const uid = await DB.delete(id);
+        Sync.schedule();
+        card.remove();
+        if (HistoryList.remove(id)) this.loadHistoryList();
+        if (uid) Snackbar.show(t('history.deleted'), () => this.restoreEntry(uid));
       });
-    },
-
-    // ── History view ──
 
-    async renderHistory() {
-      const entries = await DB.getAll();
-      entries.sort((a, b) => b.date.localeCompare(a.date));
+      await this.loadHistoryList();
+    },
 
-      if (entries.length === 0) {
-        this.app.innerHTML = `
-          <div class="view history-view">
-            <h2>Historique</h2>
-            <p class="empty-state" role="status">Aucune entrée pour le moment.<br>Commencez par ajouter votre humeur !</p>
-          </div>
-        `;
+    // (Re)load the list below the filters, keeping the filter controls and
+    // their focus intact
+    async loadHistoryList() {
+      Router.record({ replace: true });
+      const list = this.app.querySelector('.entries-list');
+      const countEl = this.app.querySelector('.history-count');
+      const filtering = HistoryList.hasFilters();
+      const terms = HistoryList.searchTerms();
+
+      this.app.querySelector('#history-clear').hidden = !filtering;
+      this.app.querySelector('.history-filters').hidden = false;
+      list.classList.toggle('searching', terms.length > 0);
+
+      const result = await HistoryList.load(list, e => this.renderEntryCard(e, terms));
+      if (result === undefined) return;
+      if (!filtering && result === false) {
+        HistoryList.destroy();
+        this.app.querySelector('.history-filters').hidden = true;
+        countEl.textContent = '';
+        list.innerHTML = `<p class="empty-state" role="status">${t('history.empty')}</p>`;
         return;
       }
+      if (filtering) {
+        countEl.textContent = result === 0 ? t('history.noResults') : t('history.results', { count: result });
+      } else {
+        countEl.textContent = '';
+      }
+    },
+
+    renderEntryCard(e, terms = []) {
+      return `
+        <div class="entry-card" data-date="${e.date}" data-id="${e.id}">
+          <div class="entry-mood" aria-hidden="true">${Scale.emoji(e.mood)}</div>
+          <div class="entry-info">
+            <div class="entry-date">${formatDateDisplay(e.date)} <span class="entry-time">${e.time}</span></div>
+            ${e.note ? `<div class="entry-note">${highlightTerms(e.note, terms)}</div>` : ''}
+            ${e.tags && e.tags.length ? `
+              <ul class="entry-tags" aria-label="${t('add.tags')}">
+                ${e.tags.map(t => `<li class="tag-chip small">${escapeHtml(t)}</li>`).join('')}
+              </ul>
+            ` : ''}
+            ${e.noteUnreadable ? `<div class="entry-note">\u{1F512} ${t('history.unreadable')}</div>` : ''}
+            <div class="photo-strip" data-uid="${escapeHtml(e.uid)}" hidden></div>
+          </div>
+          <button class="entry-delete" data-id="${e.id}" aria-label="${t('common.delete')}">\u2715</button>
+        </div>
+      `;
+    },
+
+    async restoreEntry(uid) {
+      const restored = await DB.restore(uid);
+      if (restored) Sync.schedule();
+      Snackbar.show(t(restored ? 'trash.restored' : 'trash.superseded'));
+      this.refresh();
+    },
+
+    // ── Trash view ──
+
+    async renderTrash() {
+      await DB.expireTrash();
+      const entries = await DB.getTrash();
 
       this.app.innerHTML = `
-        <div class="view history-view">
-          <h2>Historique</h2>
+        <div class="view trash-view">
+          <div class="trash-header">
+            <button id="trash-back" class="install-btn-dismiss">\u2190 ${t('history.title')}</button>
+            ${entries.length ? `<button id="trash-empty" class="btn-danger">${t('trash.emptyAll')}</button>` : ''}
+          </div>
+          <h2>${t('trash.title')}</h2>
+          <p class="settings-hint">${t('trash.hint', { days: DB.TRASH_DAYS })}</p>
           <div class="entries-list">
-            ${entries.map(e => `
-              <div class="entry-card" data-date="${e.date}">
-                <div class="entry-mood" aria-hidden="true">${MOODS[e.mood - 1]}</div>
+            ${entries.length ? entries.map(e => `
+              <div class="entry-card trash-card" data-uid="${escapeHtml(e.uid)}">
+                <div class="entry-mood" aria-hidden="true">${Scale.emoji(e.mood)}</div>
                 <div class="entry-info">
-                  <div class="entry-date">${formatDateDisplay(e.date)}</div>
+                  <div class="entry-date">${formatDateDisplay(e.date)} <span class="entry-time">${e.time}</span></div>
                   ${e.note ? `<div class="entry-note">${escapeHtml(e.note)}</div>` : ''}
+                  ${e.noteUnreadable ? `<div class="entry-note">\u{1F512} ${t('history.unreadable')}</div>` : ''}
+                  <div class="trash-deleted">${t('trash.deletedOn', { date: formatDateShort(formatDate(new Date(e.trashedAt))) })}</div>
+                  <div class="backup-row">
+                    <button class="btn-secondary trash-restore">${t('trash.restore')}</button>
+                    <button class="install-btn-dismiss trash-purge">${t('trash.purge')}</button>
+                  </div>
                 </div>
-                <button class="entry-delete" data-date="${e.date}" aria-label="Supprimer">\u2715</button>
               </div>
-            `).join('')}
+            `).join('') : `<p class="empty-state" role="status">${t('trash.empty')}</p>`}
           </div>
         </div>
       `;
 
-      this.app.querySelectorAll('.entry-card').forEach(card => {
-        card.addEventListener('click', (e) => {
-          if (e.target.closest('.entry-delete')) return;
-          Router.navigate('add', card.dataset.date);
-        });
-      });
+      this.app.querySelector('#trash-back').addEventListener('click', () => Router.navigate('history'));
 
-      this.app.querySelectorAll('.entry-delete').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-          e.stopPropagation();
-          if (confirm('Supprimer cette entrée ?')) {
-            await DB.delete(btn.dataset.date);
-            this.renderHistory();
-          }
+      const emptyBtn = this.app.querySelector('#trash-empty');
+      if (emptyBtn) {
+        emptyBtn.addEventListener('click', async () => {
+          if (!confirm(t('trash.confirmEmpty', { count: entries.length }))) return;
+          await DB.purgeTrash();
+          this.renderTrash();
         });
+      }
+
+      this.app.querySelector('.entries-list').addEventListener('click', async (e) => {
+        const card = e.target.closest('.trash-card');
+        if (!card) return;
+        const uid = card.dataset.uid;
+        if (e.target.closest('.trash-restore')) {
+          await this.restoreEntry(uid);
+        } else if (e.target.closest('.trash-purge')) {
+          await DB.purgeTrash({ uid });
+          this.renderTrash();
+        }
       });
     }
   };
@@ -725,7 +6374,7 @@
       window.addEventListener('appinstalled', () => {
         this.deferredPrompt = null;
         this.hideInstallBanner();
-        localStorage.setItem('pwa-installed', 'true');
+        Settings.set('installed', true);
       });
 
       // iOS Safari: show custom instructions if not dismissed recently
@@ -744,8 +6393,7 @@
 
     showInstallBanner() {
       // Don't show if user dismissed recently (within 7 days)
-      const dismissed = localStorage.getItem('install-dismissed');
-      if (dismissed && Date.now() - Number(dismissed) < 7 * 24 * 60 * 60 * 1000) return;
+      if (Date.now() - Settings.get('installDismissed') < 7 * 24 * 60 * 60 * 1000) return;
 
       const banner = document.getElementById('install-banner');
       if (banner) {
@@ -773,7 +6421,7 @@
     },
 
     dismissInstall() {
-      localStorage.setItem('install-dismissed', String(Date.now()));
+      Settings.set('installDismissed', Date.now());
       this.hideInstallBanner();
     },
 
@@ -784,8 +6432,7 @@
       if (!isIOS || !isSafari) return;
 
       // Don't show if already dismissed recently
-      const dismissed = localStorage.getItem('install-dismissed');
-      if (dismissed && Date.now() - Number(dismissed) < 7 * 24 * 60 * 60 * 1000) return;
+      if (Date.now() - Settings.get('installDismissed') < 7 * 24 * 60 * 60 * 1000) return;
 
       // Show after a short delay to not be intrusive
       setTimeout(() => this.showIOSOverlay(), 3000);
@@ -800,7 +6447,7 @@
     },
 
     hideIOSOverlay() {
-      localStorage.setItem('install-dismissed', String(Date.now()));
+      Settings.set('installDismissed', Date.now());
       const overlay = document.getElementById('ios-install-overlay');
       if (overlay) {
         overlay.classList.remove('visible');
@@ -809,6 +6456,40 @@
     }
   };
 
+  // ── Launch Module ──
+  //
+  // Backup files opened with the installed app (manifest file_handlers)
+  // arrive through the launch queue and go to the import in Settings.
+  // Text shared to the app is in the URL (Router.parseShare): on a cold
+  // start Router.restore() reads it; with launch_handler focus-existing a
+  // running app isn't navigated and gets the URL here as targetURL.
+
+  const Launch = {
+    startURL: location.href, // already routed by Router.restore()
+
+    init() {
+      if (!('launchQueue' in window)) return;
+      window.launchQueue.setConsumer(async ({ files, targetURL }) => {
+        const isStart = targetURL === this.startURL;
+        this.startURL = null;
+        if (!files || files.length === 0) {
+          const route = targetURL && !isStart && Router.parseShare(new URL(targetURL).search);
+          if (route) Router.navigate(route.tab, route.data);
+          return;
+        }
+        // One import at a time: the first file of a multiple selection
+        try {
+          UI.launchedFile = await files[0].getFile();
+        } catch (err) {
+          console.warn('Launched file unreadable:', err);
+          Snackbar.show(t('import.unreadable'));
+          return;
+        }
+        Router.navigate('settings');
+      });
+    }
+  };
+
   // ── SW update banner ──
 
   function showUpdateBanner() {
@@ -816,7 +6497,7 @@
     const banner = document.createElement('div');
     banner.className = 'update-banner';
     banner.setAttribute('role', 'alert');
-    banner.innerHTML = '<span>Nouvelle version disponible</span><button id="sw-update-btn">Actualiser</button>';
+    banner.innerHTML = `<span>${t('update.available')}</span><button id="sw-update-btn">${t('update.reload')}</button>`;
     document.body.prepend(banner);
     document.getElementById('sw-update-btn').addEventListener('click', () => {
       navigator.serviceWorker.ready.then(reg => {
@@ -828,17 +6509,28 @@
   // ── Bootstrap ──
 
   async function init() {
+    Settings.load();
+    UI.applyTheme();
     await DB.open();
+    DB.expireTrash().then(() => DB.prunePhotos()).catch(err => console.warn('Trash purge failed:', err));
+    await I18n.init();
+    await Scale.load();
     UI.init();
+    Snackbar.init();
     Router.init();
+    await Notifications.init();
 
-    // Handle tab from URL (for manifest shortcuts)
-    const urlTab = new URLSearchParams(window.location.search).get('tab');
-    Router.navigate(['add', 'calendar', 'stats', 'history'].includes(urlTab) ? urlTab : 'add');
+    // Open the view in the URL (bookmarks, manifest shortcuts, notification clicks)
+    Router.restore();
 
-    Notifications.init();
     NetworkStatus.init();
+    Changes.init();
     InstallPrompt.init();
+    Launch.init();
+
+    if (navigator.onLine) {
+      Sync.run().catch(err => console.warn('Sync failed:', err));
+    }
 
     if ('serviceWorker' in navigator) {
       try {
@@ -858,6 +6550,14 @@
         console.warn('Service Worker registration failed:', err);
       }
 
+      // Notification clicks handled by the service worker
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        const msg = e.data || {};
+        if (msg.type === 'navigate' && msg.tab === 'add' && isValidDate(msg.date)) {
+          Router.navigate('add', msg.date);
+        }
+      });
+
       // Reload when new SW takes over
       navigator.serviceWorker.addEventListener('controllerchange', () => {
         window.location.reload();
@@ -0,0 +1,205 @@
+// Local stand-in for the mood journal sync backend.
+//
+//   node server/sync-server.js            → serves the app + API on :8787
+//   PORT=3000 node server/sync-server.js
+//
+// State is kept in memory. Tests can require this file and start their own
+// instance with createSyncServer() to get a fresh, isolated store (see
+// test/sync-server.test.js).
+//
+// Protocol (see Sync in app.js):
+//   GET  /api/entries?since=<cursor>  → { cursor, entries }
+//   POST /api/entries { entries }     → { cursor, conflicts, invalid }
+// Every accepted write gets a monotonically increasing `seq`; the cursor is
+// the highest seq the client has seen. Entries are identified by `uid`
+// (several check-ins may share a date). Writes to the same uid are resolved
+// last-write-wins on `timestamp`; a rejected write is answered with the
+// winning server record in `conflicts`. Deletes are `{ uid, deleted: true }`
+// tombstones and are kept so other devices can pull them. Entries that fail
+// validation are listed by uid in `invalid`; the rest of the batch is kept.
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCALES = [3, 5, 10];
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml'
+};
+
+function createStore() {
+  const records = new Map();
+  let seq = 0;
+
+  return {
+    get cursor() { return seq; },
+
+    changesSince(since) {
+      return [...records.values()]
+        .filter(r => r.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+    },
+
+    // Returns the stored server record when the incoming write lost
+    write(entry) {
+      const existing = records.get(entry.uid);
+      if (existing && existing.timestamp > entry.timestamp) return existing;
+      records.set(entry.uid, { ...entry, seq: ++seq });
+      return null;
+    },
+
+    clear() {
+      records.clear();
+      seq = 0;
+    }
+  };
+}
+
+// YYYY-MM-DD of a day that exists (not 2026-02-30)
+function isValidDate(str) {
+  if (typeof str !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(str)) return false;
+  const d = new Date(`${str}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === str;
+}
+
+function validateEntry(e) {
+  if (!e || typeof e.uid !== 'string' || !e.uid) return null;
+  if (!isValidDate(e.date)) return null;
+  if (typeof e.timestamp !== 'number') return null;
+  if (e.deleted) return { uid: e.uid, date: e.date, deleted: true, timestamp: e.timestamp };
+  // `mood` is on the entry's own scale (3, 5 or 10 points; 5 when missing)
+  const scale = e.scale === undefined ? 5 : e.scale;
+  if (!SCALES.includes(scale)) return null;
+  if (!Number.isInteger(e.mood) || e.mood < 1 || e.mood > scale) return null;
+  if (typeof e.time !== 'string' || !/^\d{2}:\d{2}$/.test(e.time)) return null;
+  const tags = e.tags || [];
+  if (!Array.isArray(tags) || !tags.every(t => typeof t === 'string')) return null;
+  const entry = { uid: e.uid, date: e.date, time: e.time, mood: e.mood, scale, note: String(e.note || ''), tags, timestamp: e.timestamp };
+  // Passphrase-encrypted note: stored and relayed as an opaque blob
+  if (e.noteCipher) {
+    const { kid, iv, data } = e.noteCipher;
+    if (![kid, iv, data].every(v => typeof v === 'string')) return null;
+    entry.noteCipher = { kid, iv, data };
+  }
+  return entry;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'], 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+async function handleApi(store, req, res, url) {
+  if (req.method === 'GET') {
+    const since = Number(url.searchParams.get('since')) || 0;
+    const entries = store.changesSince(since);
+    return sendJson(res, 200, { cursor: store.cursor, entries });
+  }
+
+  if (req.method === 'POST') {
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch (_) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    if (!payload || !Array.isArray(payload.entries)) {
+      return sendJson(res, 400, { error: 'Expected { entries: [] }' });
+    }
+
+    // A bad entry must not hold back the others: the client would resend
+    // the same batch forever
+    const entries = [];
+    const invalid = [];
+    for (const e of payload.entries) {
+      const entry = validateEntry(e);
+      if (entry) entries.push(entry);
+      else invalid.push(e && typeof e.uid === 'string' ? e.uid : null);
+    }
+
+    const conflicts = entries.map(e => store.write(e)).filter(Boolean);
+    return sendJson(res, 200, { cursor: store.cursor, conflicts, invalid });
+  }
+
+  // Test helper: wipe the store
+  if (req.method === 'DELETE') {
+    store.clear();
+    return sendJson(res, 200, { cursor: 0 });
+  }
+
+  res.writeHead(405, { Allow: 'GET, POST, DELETE' });
+  res.end();
+}
+
+function serveStatic(req, res, url) {
+  let rel;
+  try {
+    rel = decodeURIComponent(url.pathname).replace(/^\/+/, '') || 'index.html';
+  } catch (_) {
+    res.writeHead(400);
+    return res.end();
+  }
+  const file = path.resolve(ROOT, rel);
+  if (!file.startsWith(ROOT + path.sep) || rel.startsWith('server/') || /(^|\/)\./.test(rel)) {
+    res.writeHead(403);
+    return res.end();
+  }
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      res.writeHead(404);
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+function createSyncServer({ serveApp = true } = {}) {
+  const store = createStore();
+  const server = http.createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch (_) {
+      res.writeHead(400);
+      return res.end();
+    }
+    if (url.pathname === '/api/entries') {
+      handleApi(store, req, res, url).catch(err => {
+        console.error(err);
+        sendJson(res, 500, { error: 'Internal error' });
+      });
+      return;
+    }
+    if (serveApp && req.method === 'GET') return serveStatic(req, res, url);
+    res.writeHead(404);
+    res.end();
+  });
+  server.store = store;
+  return server;
+}
+
+module.exports = { createSyncServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8787;
+  createSyncServer().listen(port, () => {
+    console.log(`Mood journal sync server on http://localhost:${port}`);
+  });
+}
@@ -1,4 +1,29 @@
-const CACHE_NAME = 'mood-journal-v2';
+const CACHE_NAME = 'mood-journal-v35';
+const DB_NAME = 'mood-journal';
+const SYNC_TAG = 'sync-entries'; // must match app.js
+const CHANNEL = 'mood-journal'; // must match Changes in app.js
+const REMINDER_TAG = 'mood-reminder'; // must match Notifications in app.js
+const PERIODIC_TAG = 'mood-reminders';
+// Used until the page has saved a mood scale (see Scale in app.js)
+const DEFAULT_SCALE = {
+  points: 5,
+  emojis: ['\u{1F622}', '\u{1F615}', '\u{1F610}', '\u{1F642}', '\u{1F604}']
+};
+// The few strings the worker shows itself, same texts as MESSAGES in app.js
+const MESSAGES = {
+  fr: {
+    title: "Journal d'humeur",
+    reminder: "N'oubliez pas de noter votre humeur aujourd'hui !",
+    labels: ['Très triste', 'Triste', 'Neutre', 'Content', 'Très content']
+  },
+  en: {
+    title: 'Mood Journal',
+    reminder: "Don't forget to log your mood today!",
+    labels: ['Very sad', 'Sad', 'Neutral', 'Happy', 'Very happy']
+  }
+};
+const SYNC_ENDPOINT = '/api/entries';
+const MIN_DB_VERSION = 2; // first schema with the `uid` index, see DB in app.js
 const ASSETS = [
   './',
   './index.html',
@@ -32,8 +57,11 @@ self.addEventListener('activate', (event) => {
   );
 });
 
-// Fetch: network-first for navigation, cache-first for assets
+// Fetch: network-first for navigation, cache-first for assets.
+// Sync API calls always go to the network.
 self.addEventListener('fetch', (event) => {
+  if (new URL(event.request.url).pathname.startsWith('/api/')) return;
+
   if (event.request.mode === 'navigate') {
     event.respondWith(
       fetch(event.request)
@@ -67,13 +95,343 @@ self.addEventListener('message', (event) => {
   }
 });
 
-// Focus or open app on notification click
+// Notification click: a mood action logs it without opening the app;
+// the body of a reminder opens Add on the reminder's day.
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
-  event.waitUntil(
-    self.clients.matchAll({ type: 'window' }).then(clients => {
-      if (clients.length > 0) return clients[0].focus();
-      return self.clients.openWindow('./');
-    })
-  );
+  const { date, scale } = event.notification.data || {};
+  const mood = /^mood-(\d+)$/.exec(event.action || '');
+  if (mood && date) {
+    event.waitUntil(logMood(Number(mood[1]), scale || 5, date));
+    return;
+  }
+  event.waitUntil(openApp(date ? { tab: 'add', date } : null));
+});
+
+// Focus an open window (and tell it where to go) or open a new one
+async function openApp(route) {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  if (clients.length > 0) {
+    if (route) clients[0].postMessage({ type: 'navigate', ...route });
+    return clients[0].focus();
+  }
+  return self.clients.openWindow(route ? `./#/${route.tab}/${route.date}` : './');
+}
+
+// ── Outbox (Background Sync) ──
+//
+// The page registers SYNC_TAG when it saves while offline. The browser fires
+// `sync` once connectivity returns, even if no tab is open, and we push every
+// `synced: false` row (tombstones included) using the same protocol as Sync
+// in app.js. If the handler rejects, the browser reschedules it.
+
+// Tell open pages what changed, see Changes in app.js for the messages
+function broadcast(msg) {
+  const channel = new BroadcastChannel(CHANNEL);
+  channel.postMessage(msg);
+  channel.close();
+}
+
+// Open the journal at its current version. The page owns the schema, so if
+// the database doesn't exist yet we abort instead of creating an empty one.
+function openJournalDB() {
+  return new Promise((resolve, reject) => {
+    let created = false;
+    const req = indexedDB.open(DB_NAME);
+    req.onupgradeneeded = (e) => {
+      created = true;
+      e.target.transaction.abort();
+    };
+    req.onsuccess = () => {
+      const db = req.result;
+      // Never block a schema upgrade from the page
+      db.onversionchange = () => db.close();
+      resolve(db);
+    };
+    req.onerror = (e) => {
+      if (created) {
+        e.preventDefault();
+        resolve(null);
+      } else {
+        reject(req.error);
+      }
+    };
+  });
+}
+
+function getPendingEntries(db) {
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('entries', 'readonly').objectStore('entries').getAll();
+    req.onsuccess = () => resolve(req.result.filter(e => e.synced === false));
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Same contract as DB.update in app.js: rows are looked up by sync `uid`
+function updateEntry(db, uid, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('entries', 'readwrite');
+    const store = tx.objectStore('entries');
+    const req = store.index('uid').get(uid);
+    req.onsuccess = () => {
+      const current = req.result;
+      const result = fn(current);
+      if (result === null) {
+        if (current) store.delete(current.id);
+      } else if (result !== undefined) {
+        store.put(current ? { ...result, id: current.id } : result);
+      }
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function toWire(entry) {
+  if (entry.deleted) return { uid: entry.uid, date: entry.date, deleted: true, timestamp: entry.timestamp };
+  const wire = {
+    uid: entry.uid,
+    date: entry.date,
+    time: entry.time,
+    mood: entry.mood,
+    scale: entry.scale || 5,
+    note: entry.note || '',
+    tags: entry.tags || [],
+    timestamp: entry.timestamp
+  };
+  if (entry.noteCipher) wire.noteCipher = entry.noteCipher;
+  return wire;
+}
+
+async function postEntries(entries) {
+  const res = await fetch(SYNC_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ entries: entries.map(toWire) })
+  });
+  if (!res.ok) throw new Error(`Sync push failed: HTTP ${res.status}`);
+  return res.json();
+}
+
+// Retry a few times within this event (2s, 4s, 8s) before giving the
+// browser a rejection, which makes it schedule a later attempt.
+async function withBackoff(fn, attempts = 4, baseDelay = 2000) {
+  for (let i = 0; ; i++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (i >= attempts - 1) throw err;
+      await new Promise(r => setTimeout(r, baseDelay * 2 ** i));
+    }
+  }
+}
+
+async function flushOutbox() {
+  const db = await openJournalDB();
+  if (!db) return;
+  if (db.version < MIN_DB_VERSION) {
+    // The page hasn't migrated the schema yet; it will flush on next load
+    db.close();
+    return;
+  }
+
+  const dates = new Set(); // days changed by the server's versions
+  let pushed = 0;
+  try {
+    const pending = await getPendingEntries(db);
+    if (pending.length === 0) return;
+
+    const { conflicts = [], invalid = [] } = await withBackoff(() => postEntries(pending));
+    // Refused entries stay in the outbox, the others are acknowledged
+    const rejected = new Set([...conflicts.map(c => c.uid), ...invalid]);
+    pushed = pending.length - rejected.size;
+
+    for (const entry of pending) {
+      if (rejected.has(entry.uid)) continue;
+      await updateEntry(db, entry.uid, current => {
+        if (!current || current.timestamp !== entry.timestamp) return undefined;
+        return current.deleted ? null : { ...current, synced: true };
+      });
+    }
+
+    // The server kept a newer version: take it unless the user edited again
+    for (const remote of conflicts) {
+      await updateEntry(db, remote.uid, local => {
+        if (local && local.synced === false && local.timestamp > remote.timestamp) return undefined;
+        if (remote.deleted && !local) return undefined;
+        dates.add(remote.date);
+        if (remote.deleted) return null;
+        const row = {
+          uid: remote.uid,
+          date: remote.date,
+          time: remote.time,
+          mood: remote.mood,
+          scale: remote.scale || 5,
+          note: remote.note || '',
+          tags: remote.tags || [],
+          timestamp: remote.timestamp,
+          synced: true
+        };
+        if (remote.noteCipher) row.noteCipher = remote.noteCipher;
+        return row;
+      });
+    }
+    broadcast({ type: 'synced', pushed, dates: [...dates] });
+  } finally {
+    db.close();
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(flushOutbox());
+  }
 });
+
+// ── Reminders (Periodic Background Sync) ──
+//
+// The page stores the reminder schedule in the `meta` store (DB v3) and
+// registers PERIODIC_TAG when the browser allows it. The browser decides
+// how often `periodicsync` fires, so a reminder is shown on the first
+// check after its time, unless today already has an entry.
+
+function getMeta(db, key) {
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('meta', 'readonly').objectStore('meta').get(key);
+    req.onsuccess = () => resolve(req.result ? req.result.value : undefined);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function setMeta(db, key, value) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction('meta', 'readwrite');
+    tx.objectStore('meta').put({ key, value });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function hasEntryOn(db, date) {
+  return new Promise((resolve, reject) => {
+    const req = db.transaction('entries', 'readonly').objectStore('entries').index('date').getAll(date);
+    req.onsuccess = () => resolve(req.result.some(e => !e.deleted));
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function localDate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Same rule as Notifications.check() in app.js
+function dueReminders(reminders, log, now) {
+  const today = localDate(now);
+  const time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+  const weekday = (now.getDay() + 6) % 7; // Monday = 0
+  return reminders.filter(r => r.days.includes(weekday) && r.time <= time && log[r.id] !== today);
+}
+
+// The page stores its resolved language in `meta` (see I18n in app.js)
+async function getMessages(db) {
+  const lang = (await getMeta(db, 'language')) || (self.navigator.language || '').split('-')[0];
+  return MESSAGES[lang] || MESSAGES.fr;
+}
+
+async function getScale(db) {
+  const scale = db.objectStoreNames.contains('meta') && await getMeta(db, 'moodScale');
+  if (scale) return scale;
+  const messages = db.objectStoreNames.contains('meta') ? await getMessages(db) : MESSAGES.fr;
+  return { ...DEFAULT_SCALE, labels: messages.labels };
+}
+
+// Same list as Notifications.reminderActions() in app.js
+function reminderActions({ points, emojis, labels }) {
+  const max = self.Notification && Notification.maxActions !== undefined ? Notification.maxActions : points;
+  const count = Math.min(points, max);
+  const moods = count < 2 ? [] : Array.from({ length: count }, (_, i) => Math.round(1 + (i * (points - 1)) / (count - 1)));
+  return moods.map(mood => ({ action: `mood-${mood}`, title: `${emojis[mood - 1]} ${labels[mood - 1]}` }));
+}
+
+async function checkReminders() {
+  const db = await openJournalDB();
+  if (!db) return;
+  if (!db.objectStoreNames.contains('meta')) {
+    db.close();
+    return;
+  }
+
+  try {
+    const now = new Date();
+    const today = localDate(now);
+    const reminders = (await getMeta(db, 'reminders')) || [];
+    const log = (await getMeta(db, 'reminderLog')) || {};
+    const due = dueReminders(reminders, log, now);
+    if (due.length === 0) return;
+
+    due.forEach(r => { log[r.id] = today; });
+    await setMeta(db, 'reminderLog', log);
+    if (await hasEntryOn(db, today)) return;
+
+    const scale = await getScale(db);
+    const messages = await getMessages(db);
+    await self.registration.showNotification(messages.title, {
+      body: messages.reminder,
+      icon: 'icons/icon-192.svg',
+      tag: REMINDER_TAG,
+      data: { date: today, scale: scale.points },
+      actions: reminderActions(scale)
+    });
+  } finally {
+    db.close();
+  }
+}
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === PERIODIC_TAG) {
+    event.waitUntil(checkReminders());
+  }
+});
+
+// ── Logging from a notification ──
+//
+// The entry is written like a check-in saved offline: a new uid, no note,
+// `synced: false` for the outbox. Open pages are told to re-render.
+
+// `mood` is on the scale of `points` the actions were built with
+async function logMood(mood, points, date) {
+  const db = await openJournalDB();
+  if (!db || db.version < MIN_DB_VERSION) {
+    // No journal the page could read yet: let it handle the check-in
+    if (db) db.close();
+    return openApp({ tab: 'add', date });
+  }
+
+  const now = new Date();
+  const uid = self.crypto.randomUUID();
+  try {
+    await updateEntry(db, uid, () => ({
+      uid,
+      date,
+      time: `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`,
+      mood,
+      scale: points,
+      note: '',
+      tags: [],
+      timestamp: now.getTime(),
+      synced: false
+    }));
+  } finally {
+    db.close();
+  }
+
+  // The day is logged: drop its remaining scheduled reminders
+  const scheduled = await self.registration.getNotifications({ includeTriggered: true });
+  scheduled.filter(n => n.tag.startsWith(`${REMINDER_TAG}-${date}-`)).forEach(n => n.close());
+
+  broadcast({ type: 'entries-changed', dates: [date] });
+
+  if (self.registration.sync) {
+    await self.registration.sync.register(SYNC_TAG).catch(() => {});
+  }
+}
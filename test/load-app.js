@@ -0,0 +1,37 @@
+// Evaluates app.js without starting it (its final init() call is left out)
+// and returns the modules named in `names`, for tests of the parts that
+// don't need a browser.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadApp(names) {
+  const source = fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8');
+  const start = /\n {2}init\(\);\n\}\)\(\);\s*$/;
+  if (!start.test(source)) throw new Error('app.js no longer ends with init()');
+  const storage = new Map();
+  const context = vm.createContext({
+    console,
+    URL,
+    URLSearchParams,
+    Intl,
+    setTimeout,
+    clearTimeout,
+    location: { href: 'http://localhost/', hash: '', search: '', pathname: '/' },
+    navigator: { onLine: false, language: 'fr-FR', languages: ['fr-FR'] },
+    localStorage: {
+      getItem: key => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    },
+    window: {},
+    document: {}
+  });
+  vm.runInContext(source.replace(start, `\n  globalThis.__app = { ${names.join(', ')} };\n})();`), context);
+  return context.__app;
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,29 @@
+// Periods of the Stats tab (Stats.range)
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./load-app');
+
+const { Stats } = loadApp(['Stats']);
+
+test('a custom period needs no anchor and is put in order', () => {
+  assert.deepEqual(
+    { ...Stats.range({ mode: 'custom', from: '2026-10-01', to: '2026-10-19' }) },
+    { from: '2026-10-01', to: '2026-10-19' }
+  );
+  assert.deepEqual(
+    { ...Stats.range({ mode: 'custom', from: '2026-10-19', to: '2026-10-01' }) },
+    { from: '2026-10-01', to: '2026-10-19' }
+  );
+});
+
+test('the other periods contain their anchor', () => {
+  const anchor = new Date(2026, 9, 19);
+  assert.deepEqual({ ...Stats.range({ mode: 'month', anchor }) }, { from: '2026-10-01', to: '2026-10-31' });
+  assert.deepEqual({ ...Stats.range({ mode: 'quarter', anchor }) }, { from: '2026-10-01', to: '2026-12-31' });
+  assert.deepEqual({ ...Stats.range({ mode: 'year', anchor }) }, { from: '2026-01-01', to: '2026-12-31' });
+  // Weeks start on Monday until I18n says otherwise
+  assert.deepEqual({ ...Stats.range({ mode: 'week', anchor }) }, { from: '2026-10-19', to: '2026-10-25' });
+});
@@ -0,0 +1,83 @@
+// Protocol of server/sync-server.js (see Sync in app.js)
+//
+//   node --test test/
+
+'use strict';
+
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSyncServer } = require('../server/sync-server');
+
+const server = createSyncServer();
+const listening = new Promise(resolve => server.listen(0, resolve));
+
+after(() => server.close());
+beforeEach(() => server.store.clear());
+
+async function api(method, query = '', body) {
+  await listening;
+  const res = await fetch(`http://localhost:${server.address().port}/api/entries${query}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : undefined,
+    body: body && JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function entry(uid, fields = {}) {
+  return { uid, date: '2026-10-19', time: '09:30', mood: 4, scale: 5, note: '', tags: [], timestamp: 1000, ...fields };
+}
+
+test('pushed entries are pulled after the cursor', async () => {
+  const pushed = await api('POST', '', { entries: [entry('a'), entry('b', { note: 'hello' })] });
+  assert.equal(pushed.status, 200);
+  assert.equal(pushed.body.cursor, 2);
+  assert.deepEqual(pushed.body.conflicts, []);
+
+  const all = await api('GET', '?since=0');
+  assert.equal(all.body.cursor, 2);
+  assert.deepEqual(all.body.entries.map(e => e.uid), ['a', 'b']);
+  assert.equal(all.body.entries[1].note, 'hello');
+
+  await api('POST', '', { entries: [entry('c')] });
+  const since = await api('GET', '?since=2');
+  assert.equal(since.body.cursor, 3);
+  assert.deepEqual(since.body.entries.map(e => e.uid), ['c']);
+});
+
+test('an older write comes back as a conflict with the server version', async () => {
+  await api('POST', '', { entries: [entry('a', { mood: 5, timestamp: 2000 })] });
+  const res = await api('POST', '', { entries: [entry('a', { mood: 1, timestamp: 1000 })] });
+  assert.equal(res.body.conflicts.length, 1);
+  assert.equal(res.body.conflicts[0].uid, 'a');
+  assert.equal(res.body.conflicts[0].mood, 5);
+  assert.equal(res.body.cursor, 1);
+});
+
+test('tombstones are kept for other devices to pull', async () => {
+  await api('POST', '', { entries: [entry('a')] });
+  await api('POST', '', { entries: [{ uid: 'a', date: '2026-10-19', deleted: true, timestamp: 2000 }] });
+  const res = await api('GET', '?since=1');
+  assert.deepEqual(res.body.entries, [{ uid: 'a', date: '2026-10-19', deleted: true, timestamp: 2000, seq: 2 }]);
+});
+
+test('invalid entries are listed by uid and the rest of the batch is kept', async () => {
+  const res = await api('POST', '', {
+    entries: [
+      entry('good'),
+      entry('bad-date', { date: '2026-99-99' }),
+      entry('bad-mood', { mood: 7 }),
+      { date: '2026-10-19' }
+    ]
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.invalid, ['bad-date', 'bad-mood', null]);
+  const pulled = await api('GET', '?since=0');
+  assert.deepEqual(pulled.body.entries.map(e => e.uid), ['good']);
+});
+
+test('a malformed path is answered 400', async () => {
+  await listening;
+  const res = await fetch(`http://localhost:${server.address().port}/%E0%A4%A`);
+  assert.equal(res.status, 400);
+});